@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MINUTES = 60;
+
+/**
+ * @param {string} message
+ * @param {number} status - HTTP status for the API
+ * @returns {Error}
+ * @private
+ */
+function answerError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * One-time tokens behind notification answer buttons. Buttons on ntfy
+ * and Web Push can't carry a login, so each notified prompt gets a token
+ * bound to that showing of the prompt and to the options it offered.
+ */
+class AnswerTokens {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMinutes - How long a token stays usable
+   */
+  constructor(options = {}) {
+    this.ttl = (options.ttlMinutes || DEFAULT_TTL_MINUTES) * 60 * 1000;
+    this.tokens = new Map(); // token -> { sessionId, promptId, indexes, expires }
+  }
+
+  /**
+   * @param {object} prompt
+   * @param {string} prompt.sessionId
+   * @param {string} prompt.promptId - The prompt instance on screen
+   * @param {number[]} prompt.indexes - Option indexes offered as buttons
+   * @returns {string} Token
+   */
+  issue({ sessionId, promptId, indexes }) {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (now > entry.expires) this.tokens.delete(token);
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(token, { sessionId, promptId, indexes: [...indexes], expires: now + this.ttl });
+    return token;
+  }
+
+  /**
+   * Use up a token to answer with one of the options it was issued for.
+   * An index that wasn't offered leaves the token usable.
+   * @param {string} token
+   * @param {number} index
+   * @returns {object} { sessionId, promptId }
+   * @throws {Error} If the token is unknown, used or expired (error.status
+   *   404), or the index wasn't offered (400)
+   */
+  redeem(token, index) {
+    const entry = this.tokens.get(token);
+    if (!entry || Date.now() > entry.expires) {
+      this.tokens.delete(token);
+      throw answerError('This answer has expired or was already used', 404);
+    }
+    if (!entry.indexes.includes(index)) {
+      throw answerError('This option was not offered in the notification', 400);
+    }
+    this.tokens.delete(token);
+    return { sessionId: entry.sessionId, promptId: entry.promptId };
+  }
+}
+
+module.exports = {
+  AnswerTokens,
+};
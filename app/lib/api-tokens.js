@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+/**
+ * Token scopes, from least to most powerful
+ * - read: watch output, session state and transcripts
+ * - answer: answer prompts, type input and resize the terminal
+ * - control: start, stop and close sessions
+ * - admin: everything, including managing tokens
+ */
+const SCOPES = ['read', 'answer', 'control', 'admin'];
+
+// Token format: oc_<id>_<secret> - the id is stored in clear for lookup,
+// only a SHA-256 hash of the secret is kept on disk
+const TOKEN_PATTERN = /^oc_([a-f0-9]{8})_([a-f0-9]{64})$/;
+const LAST_USED_SAVE_INTERVAL = 60 * 1000;
+
+/**
+ * Check whether a scope list grants a scope.
+ * admin grants everything; every other scope also grants read.
+ * @param {string[]} scopes
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(scopes, scope) {
+  if (!Array.isArray(scopes)) return false;
+  if (scopes.includes('admin') || scopes.includes(scope)) return true;
+  return scope === 'read' && scopes.length > 0;
+}
+
+/**
+ * Long-lived bearer tokens for scripts and other devices, hashed at rest
+ */
+class TokenStore {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.tokens = new Map(); // id -> { id, name, hash, scopes, created, createdBy, lastUsed }
+    this.lastSaved = 0;
+    this._load();
+  }
+
+  /**
+   * Create a token. The plaintext is only ever returned here.
+   * @param {object} options
+   * @param {string} options.name - Label shown in the UI
+   * @param {string[]} options.scopes - Subset of SCOPES
+   * @param {string} options.createdBy - Username of the creator
+   * @returns {object} { token, info }
+   */
+  create({ name, scopes, createdBy = null }) {
+    const validScopes = SCOPES.filter((scope) => scopes.includes(scope));
+    if (validScopes.length === 0) {
+      throw new Error('At least one valid scope is required');
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const record = {
+      id,
+      name: String(name || '').trim().slice(0, 60) || `token-${id}`,
+      hash: this._hash(secret),
+      scopes: validScopes,
+      created: Date.now(),
+      createdBy,
+      lastUsed: null,
+    };
+
+    this.tokens.set(id, record);
+    this._save();
+    return { token: `oc_${id}_${secret}`, info: this._toInfo(record) };
+  }
+
+  /**
+   * Look up a plaintext token
+   * @param {string} token
+   * @returns {object|null} Token info (without hash) if valid
+   */
+  verify(token) {
+    const match = typeof token === 'string' && token.match(TOKEN_PATTERN);
+    if (!match) return null;
+
+    const record = this.tokens.get(match[1]);
+    if (!record) return null;
+
+    const given = Buffer.from(this._hash(match[2]), 'hex');
+    const expected = Buffer.from(record.hash, 'hex');
+    if (!crypto.timingSafeEqual(given, expected)) return null;
+
+    record.lastUsed = Date.now();
+    // lastUsed is informational - don't rewrite the file on every request
+    if (record.lastUsed - this.lastSaved > LAST_USED_SAVE_INTERVAL) {
+      this._save();
+    }
+    return this._toInfo(record);
+  }
+
+  /**
+   * @returns {object[]} Token infos, newest first
+   */
+  list() {
+    return Array.from(this.tokens.values())
+      .map((record) => this._toInfo(record))
+      .sort((a, b) => b.created - a.created);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether a token was revoked
+   */
+  revoke(id) {
+    if (!this.tokens.delete(id)) return false;
+    this._save();
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      const data = readJsonFile(this.file, { tokens: [] });
+      for (const record of data.tokens || []) {
+        this.tokens.set(record.id, record);
+      }
+    } catch (error) {
+      console.error(`[Tokens] Failed to load ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    try {
+      writeJsonFile(this.file, { tokens: Array.from(this.tokens.values()) });
+      this.lastSaved = Date.now();
+    } catch (error) {
+      console.error(`[Tokens] Failed to save ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _toInfo(record) {
+    const { hash, ...info } = record;
+    return info;
+  }
+}
+
+module.exports = {
+  TokenStore,
+  hasScope,
+  SCOPES,
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * Append-only audit trail of actions taken through OnClaude, one JSON
+ * object per line. When the file reaches maxBytes it is moved to
+ * `<file>.1` (replacing the previous one) and a new file is started.
+ *
+ * Entry format:
+ *   { time, action, user, ip, via, sessionId, details }
+ */
+class AuditLog {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Path of the JSONL file
+   * @param {number} options.maxBytes - Size at which the file is rotated
+   * @param {boolean} options.redactInput - Store only the length of typed input
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.maxBytes = options.maxBytes || 20 * 1024 * 1024; // 20MB
+    this.redactInput = options.redactInput !== false;
+    this.stream = null;
+    this.bytesWritten = 0;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    } catch (error) {
+      // Leave the stream closed so record() is a no-op
+      console.error(`[Audit] Disabled - could not create ${path.dirname(this.file)}: ${error.message}`);
+      return;
+    }
+    this._open();
+  }
+
+  /**
+   * Append an entry. Typed input (details.input) is reduced to its length
+   * when redaction is on.
+   * @param {object} entry - { action, user, ip, via, sessionId, details }
+   */
+  record({ action, user = null, ip = null, via = null, sessionId = null, details = {} }) {
+    if (!this.stream) return;
+
+    if (this.redactInput && typeof details.input === 'string') {
+      const { input, ...rest } = details;
+      details = { ...rest, inputLength: input.length, redacted: true };
+    }
+
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      action,
+      user,
+      ip,
+      via,
+      sessionId,
+      details,
+    }) + '\n';
+
+    if (this.bytesWritten + line.length > this.maxBytes) {
+      this._rotate();
+    }
+    this.stream.write(line);
+    this.bytesWritten += Buffer.byteLength(line);
+  }
+
+  /**
+   * Read entries back, newest first
+   * @param {object} filter
+   * @param {number} filter.since - Only entries at or after this time (ms)
+   * @param {number} filter.until - Only entries at or before this time (ms)
+   * @param {string[]} filter.actions - Action names; 'session' also matches 'session.*'
+   * @param {string} filter.user - Exact user label
+   * @param {string} filter.sessionId - Claude session id
+   * @param {number} filter.limit - Maximum number of entries
+   * @returns {object[]}
+   */
+  query({ since, until, actions, user, sessionId, limit } = {}) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const matchesAction = (action) => !actions?.length ||
+      actions.some((wanted) => action === wanted || action.startsWith(`${wanted}.`));
+
+    const results = [];
+    // Current file first, then the rotated one, each read newest line first
+    for (const file of [this.file, `${this.file}.1`]) {
+      const lines = this._readLines(file);
+      for (let i = lines.length - 1; i >= 0 && results.length < max; i--) {
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue; // Partially written line
+        }
+        const time = Date.parse(entry.time);
+        if (since && time < since) continue;
+        if (until && time > until) continue;
+        if (!matchesAction(entry.action)) continue;
+        if (user && entry.user !== user) continue;
+        if (sessionId && entry.sessionId !== sessionId) continue;
+        results.push(entry);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Flush and close the file (used on shutdown)
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    try {
+      this.bytesWritten = fs.statSync(this.file).size;
+    } catch (error) {
+      this.bytesWritten = 0;
+    }
+    this.stream = fs.createWriteStream(this.file, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (error) => {
+      console.error(`[Audit] Write failed for ${this.file}: ${error.message}`);
+      this.stream = null;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _rotate() {
+    this.stream.end();
+    try {
+      fs.renameSync(this.file, `${this.file}.1`);
+      console.log(`[Audit] Rotated ${this.file}`);
+    } catch (error) {
+      console.error(`[Audit] Failed to rotate ${this.file}: ${error.message}`);
+    }
+    this._open();
+  }
+
+  /**
+   * @private
+   */
+  _readLines(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,46 @@
+const { postJson, requireOptions } = require('./http');
+
+/**
+ * Slack incoming webhooks and Discord webhooks (also Mattermost and
+ * Rocket.Chat, which accept the Slack format)
+ */
+class ChatWebhookChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {string} options.format - "slack" or "discord" (the channel type by default)
+   */
+  constructor(options = {}) {
+    this.format = (options.format || options.type) === 'discord' ? 'discord' : 'slack';
+    requireOptions(this.format, options, ['url']);
+    this.url = options.url;
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    if (this.format === 'discord') {
+      await postJson(this.url, {
+        content: `**${notification.title}**\n${notification.body}\n<${notification.url}>`,
+        allowed_mentions: { parse: [] },
+      });
+    } else {
+      await postJson(this.url, {
+        text: `*${escapeSlack(notification.title)}*\n${escapeSlack(notification.body)}\n<${notification.url}|Open OnClaude>`,
+      });
+    }
+  }
+}
+
+/**
+ * Slack treats &, < and > as markup
+ * @private
+ */
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  ChatWebhookChannel,
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 5000; // 5s, 10s, 20s, 40s between attempts
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_HISTORY = 200;
+
+/**
+ * Whether a failed send is worth repeating: network trouble, timeouts,
+ * rate limits and server errors are; a rejected request (bad token,
+ * unknown room) will fail the same way again
+ * @param {Error} error - error.status is the HTTP status if there was one;
+ *   error.retryable overrides
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.status === undefined) return true;
+  return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+/**
+ * Sends notifications, retrying failures with exponential backoff, and
+ * keeps the recent deliveries for the history endpoint
+ */
+class DeliveryQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAttempts - Attempts per delivery, including the first
+   * @param {number} options.baseDelayMs - Wait before the first retry; doubles each time
+   * @param {number} options.maxHistory - Deliveries kept for getHistory()
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs || BASE_DELAY_MS;
+    this.maxHistory = options.maxHistory || MAX_HISTORY;
+    this.history = []; // newest last
+  }
+
+  /**
+   * Start delivering
+   * @param {object} job
+   * @param {object} job.info - Shown in the history: { channel, type, event, priority, title, sessionId }
+   * @param {function} job.send - async (delivery) => result; throws on failure. The
+   *   delivery record is the same on every attempt, so adapters can keep
+   *   per-target progress in delivery.targets.
+   * @param {function} job.isValid - Checked before each retry; false drops the
+   *   delivery (e.g. the prompt was answered meanwhile)
+   * @param {function} job.onDone - Called with the delivery once it has succeeded
+   *   or finally failed
+   * @returns {Promise<object>} The delivery after its first attempt
+   */
+  enqueue({ info, send, isValid = () => true, onDone = () => {} }) {
+    const delivery = {
+      id: crypto.randomBytes(6).toString('hex'),
+      createdAt: Date.now(),
+      ...info,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      completedAt: null,
+      targets: null,
+      note: null,
+    };
+    this.history.push(delivery);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    const job = { delivery, send, isValid, onDone };
+    return this._attempt(job).then(() => ({ ...delivery }));
+  }
+
+  /**
+   * @param {object} filter
+   * @param {string} filter.channel - Channel name
+   * @param {string} filter.status - pending, retrying, sent, failed or expired
+   * @param {string} filter.sessionId
+   * @param {number} filter.limit
+   * @returns {object[]} Deliveries, newest first
+   */
+  getHistory({ channel, status, sessionId, limit = this.maxHistory } = {}) {
+    return this.history
+      .filter((delivery) =>
+        (!channel || delivery.channel === channel) &&
+        (!status || delivery.status === status) &&
+        (!sessionId || delivery.sessionId === sessionId)
+      )
+      .slice(-limit)
+      .reverse()
+      .map((delivery) => ({ ...delivery }));
+  }
+
+  /**
+   * @private
+   */
+  async _attempt(job) {
+    const { delivery } = job;
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+    const label = `${delivery.channel} ${delivery.event}`;
+
+    try {
+      const result = await job.send(delivery);
+      delivery.status = 'sent';
+      delivery.lastError = null;
+      delivery.note = result?.note || null;
+      this._finish(job);
+      return;
+    } catch (error) {
+      delivery.lastError = error.message;
+      if (!isRetryable(error) || delivery.attempts >= this.maxAttempts) {
+        delivery.status = 'failed';
+        console.error(`[Delivery] ${label} failed after ${delivery.attempts} attempt(s): ${error.message}`);
+        this._finish(job);
+        return;
+      }
+    }
+
+    const delay = Math.min(this.baseDelayMs * 2 ** (delivery.attempts - 1), MAX_DELAY_MS);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = Date.now() + delay;
+    console.warn(`[Delivery] ${label} failed (attempt ${delivery.attempts}/${this.maxAttempts}): ${delivery.lastError}; retrying in ${Math.round(delay / 1000)}s`);
+
+    const timer = setTimeout(() => {
+      if (!job.isValid()) {
+        delivery.status = 'expired';
+        delivery.nextAttemptAt = null;
+        this._finish(job);
+        return;
+      }
+      this._attempt(job);
+    }, delay);
+    timer.unref();
+  }
+
+  /**
+   * @private
+   */
+  _finish(job) {
+    job.delivery.completedAt = Date.now();
+    job.onDone(job.delivery);
+  }
+}
+
+module.exports = {
+  DeliveryQueue,
+  isRetryable,
+};
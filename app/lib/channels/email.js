@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+const { requireOptions } = require('./http');
+
+/**
+ * Email over SMTP
+ */
+class EmailChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.host - SMTP server
+   * @param {number} options.port - Default 587 (465 when secure)
+   * @param {boolean} options.secure - TLS from the start instead of STARTTLS
+   * @param {string} options.user - SMTP login (optional)
+   * @param {string} options.pass - SMTP password (optional)
+   * @param {string} options.from - Sender address
+   * @param {string} options.to - Recipient(s), comma-separated
+   */
+  constructor(options = {}) {
+    requireOptions('email', options, ['host', 'from', 'to']);
+    this.from = options.from;
+    this.to = options.to;
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || (options.secure ? 465 : 587),
+      secure: options.secure === true,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 10000,
+    });
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    try {
+      await this.transport.sendMail({
+        from: this.from,
+        to: this.to,
+        subject: notification.title,
+        text: `${notification.body}\n\n${notification.url}\n`,
+      });
+    } catch (error) {
+      // SMTP 5xx replies are permanent (bad recipient, auth refused), 4xx temporary
+      if (error.responseCode >= 500) error.retryable = false;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  EmailChannel,
+};
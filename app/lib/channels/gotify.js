@@ -0,0 +1,39 @@
+const { postJson, requireOptions, baseUrl } = require('./http');
+
+// ntfy-style priority names to Gotify's 0-10 scale
+const PRIORITY_LEVELS = { min: 1, low: 3, default: 5, high: 8, max: 10 };
+
+/**
+ * Gotify server (https://gotify.net), authenticated with an application
+ * token
+ */
+class GotifyChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.server - e.g. https://gotify.example.com
+   * @param {string} options.token - Application token
+   */
+  constructor(options = {}) {
+    requireOptions('gotify', options, ['server', 'token']);
+    this.server = baseUrl(options.server);
+    this.token = options.token;
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    await postJson(`${this.server}/message`, {
+      title: notification.title,
+      message: notification.body,
+      priority: PRIORITY_LEVELS[notification.priority] ?? PRIORITY_LEVELS.default,
+      extras: {
+        'client::notification': { click: { url: notification.url } },
+      },
+    }, { headers: { 'X-Gotify-Key': this.token } });
+  }
+}
+
+module.exports = {
+  GotifyChannel,
+};
@@ -0,0 +1,72 @@
+// A notification service that doesn't answer within this is treated as down
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Send an HTTP request for a channel and fail on anything but 2xx
+ * @param {string} url
+ * @param {object} options - fetch options (method, headers, body)
+ * @returns {Promise<Response>}
+ * @throws {Error} With the status and the start of the response body
+ *   (error.status is set for HTTP errors)
+ */
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    ...options,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * POST (or PUT) a JSON body
+ * @param {string} url
+ * @param {object} body
+ * @param {object} options - { method, headers }
+ * @returns {Promise<Response>}
+ */
+function postJson(url, body, { method = 'POST', headers = {} } = {}) {
+  return request(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Require string options, for adapter constructors
+ * @param {string} type - Channel type, for the message
+ * @param {object} options
+ * @param {string[]} names
+ * @throws {Error} Naming the first missing option
+ */
+function requireOptions(type, options, names) {
+  for (const name of names) {
+    if (typeof options[name] !== 'string' || !options[name]) {
+      throw new Error(`${type} channel needs "${name}"`);
+    }
+  }
+}
+
+/**
+ * Drop a trailing slash from a base URL
+ * @param {string} url
+ * @returns {string}
+ */
+function baseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+module.exports = {
+  request,
+  postJson,
+  requireOptions,
+  baseUrl,
+  REQUEST_TIMEOUT_MS,
+};
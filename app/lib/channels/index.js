@@ -0,0 +1,316 @@
+const fs = require('fs');
+const { readJsonFile } = require('../json-file');
+const { NtfyChannel } = require('./ntfy');
+const { WebPushChannel } = require('./webpush');
+const { WebhookChannel } = require('./webhook');
+const { GotifyChannel } = require('./gotify');
+const { PushoverChannel } = require('./pushover');
+const { ChatWebhookChannel } = require('./chat-webhook');
+const { MatrixChannel } = require('./matrix');
+const { EmailChannel } = require('./email');
+const { DeliveryQueue } = require('./delivery-queue');
+
+/**
+ * Channel types. An adapter is a class constructed with its options that
+ * has `async send(notification, delivery)`, throwing when delivery failed
+ * (see DeliveryQueue for retries).
+ */
+const ADAPTERS = {
+  ntfy: NtfyChannel,
+  webpush: WebPushChannel,
+  webhook: WebhookChannel,
+  gotify: GotifyChannel,
+  pushover: PushoverChannel,
+  slack: ChatWebhookChannel,
+  discord: ChatWebhookChannel,
+  matrix: MatrixChannel,
+  email: EmailChannel,
+};
+
+const EVENTS = ['prompt', 'reminder', 'finished', 'exited', 'test'];
+const PRIORITIES = ['min', 'low', 'default', 'high', 'max'];
+// Configured from the environment and on unless channels.json lists them
+const BUILTIN_TYPES = ['ntfy', 'webpush'];
+
+/**
+ * @typedef {object} Notification
+ * @property {string} event - One of EVENTS
+ * @property {string} priority - One of PRIORITIES
+ * @property {string} title - Sized for the channel type
+ * @property {string} body - Sized for the channel type
+ * @property {string} url - The app
+ * @property {object[]} actions - Answer buttons: [{ index, label, path, url }]
+ * @property {object|null} session - { id, name, cwd }
+ * @property {string[]} recipients - Limits channels that fan out (Web Push)
+ *   to these subscribers (optional)
+ */
+
+/**
+ * The places notifications go, from one JSON file:
+ *
+ *   {
+ *     "channels": [
+ *       { "type": "ntfy", "events": ["prompt"] },
+ *       { "type": "webhook", "name": "ci", "url": "https://ci.example.com/hook", "secret": "..." },
+ *       { "type": "gotify", "server": "https://gotify.example.com", "token": "...", "minPriority": "high" },
+ *       { "type": "email", "host": "smtp.example.com", "user": "...", "pass": "...",
+ *         "from": "claude@example.com", "to": "me@example.com", "events": ["finished", "exited"] }
+ *     ]
+ *   }
+ *
+ * Each channel gets the events listed in `events` (all by default) at
+ * `minPriority` or above. Prompt answer buttons (one-time answer links)
+ * are only sent to channels with `"answerButtons": true`. During quiet hours it only gets what they let
+ * through, unless it sets `"quietHours": false`. ntfy and Web Push keep
+ * working from the environment when the file doesn't mention them; an
+ * entry for them overrides the environment options. `"enabled": false`
+ * turns any channel off. The file is re-read when it changes on disk.
+ */
+class ChannelManager {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Path of the JSON channels file
+   * @param {object} options.defaults - Options per channel type, e.g. the
+   *   ntfy topic from the environment and the server's push subscriptions
+   * @param {string} options.appUrl - Link to the app in notifications
+   * @param {QuietHours} options.quietHours - Hold back low priorities at night (optional)
+   * @param {object} options.queue - DeliveryQueue options (retries, history size)
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.defaults = options.defaults || {};
+    this.appUrl = options.appUrl || '/';
+    this.quietHours = options.quietHours || null;
+    this.queue = new DeliveryQueue(options.queue);
+    this.channels = [];
+    this.loadedMtime = null;
+    this._load();
+  }
+
+  /**
+   * Send to every channel whose filter accepts the event
+   * @param {object} event
+   * @param {string} event.event - One of EVENTS
+   * @param {string} event.priority - One of PRIORITIES
+   * @param {object} event.session - ClaudeSession (optional)
+   * @param {object[]} event.actions - Answer buttons [{ index, label, path, url }]
+   * @param {function} event.summarize - (channelType) => { title, body }
+   * @param {string} event.only - Send to the channel with this name only
+   * @param {function} event.isValid - False once retrying is pointless (optional)
+   * @param {string[]} event.recipients - See Notification (optional)
+   * @returns {Promise<object[]>} Each channel's delivery after the first attempt
+   */
+  async notify({
+    event, priority = 'default', session = null, actions = [], summarize, only = null, isValid,
+    recipients,
+  }) {
+    this._reloadIfChanged();
+    const targets = this.channels.filter((channel) =>
+      only ? channel.name === only : this._accepts(channel, event, priority)
+    );
+    const quiet = event !== 'test' && this.quietHours && !this.quietHours.allows(priority);
+    if (quiet) {
+      console.log(`[Channels] Quiet hours (${this.quietHours.range}): holding back ${priority} ${event}`);
+    }
+    const texts = new Map(); // type -> { title, body }
+
+    return Promise.all(targets.map((channel) => {
+      if (!texts.has(channel.type)) texts.set(channel.type, summarize(channel.type));
+      const notification = {
+        event,
+        priority,
+        ...texts.get(channel.type),
+        url: this.appUrl,
+        // Answer links are credentials; only channels meant for answering get them
+        actions: channel.answerButtons ? actions : [],
+        session: session ? { id: session.id, name: session.name, cwd: session.cwd } : null,
+        recipients,
+      };
+      return this.queue.enqueue({
+        info: {
+          channel: channel.name,
+          type: channel.type,
+          event,
+          priority,
+          title: notification.title,
+          sessionId: session?.id || null,
+        },
+        send: (delivery) => channel.adapter.send(notification, delivery),
+        isValid,
+        onDone: (delivery) => {
+          if (delivery.status === 'sent') {
+            channel.sent++;
+            channel.lastSentAt = delivery.completedAt;
+            channel.lastError = null;
+          } else if (delivery.status === 'failed') {
+            channel.failed++;
+            channel.lastError = delivery.lastError;
+          }
+        },
+      });
+    }));
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {object} filter - { channel, status, sessionId, limit }
+   * @returns {object[]}
+   */
+  getHistory(filter) {
+    return this.queue.getHistory(filter);
+  }
+
+  /**
+   * Configured channels without their secrets
+   * @returns {object[]} [{ name, type, events, minPriority, quietHours, answerButtons,
+   *   sent, failed, lastError, lastSentAt }]
+   */
+  list() {
+    this._reloadIfChanged();
+    return this.channels.map(({ adapter, ...info }) => ({ ...info }));
+  }
+
+  /**
+   * Delivery counts for the health endpoint
+   * @returns {object} { sent, failed, channels }
+   */
+  getStats() {
+    const channels = this.list();
+    return {
+      sent: channels.reduce((sum, channel) => sum + channel.sent, 0),
+      failed: channels.reduce((sum, channel) => sum + channel.failed, 0),
+      channels,
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    this._reloadIfChanged();
+    return this.channels.some((channel) => channel.name === name);
+  }
+
+  /**
+   * The user interacted: channels that suppress repeats may notify again
+   */
+  resetDebounce() {
+    for (const channel of this.channels) {
+      channel.adapter.resetDebounce?.();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _accepts(channel, event, priority) {
+    if (event === 'test') return true;
+    if (!channel.events.includes(event)) return false;
+    if (PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(channel.minPriority)) return false;
+    return !channel.quietHours || !this.quietHours || this.quietHours.allows(priority);
+  }
+
+  /**
+   * @private
+   */
+  _reloadIfChanged() {
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      // No file: built-in channels only
+    }
+    if (mtime !== this.loadedMtime) {
+      this._load();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    let specs;
+    try {
+      const data = readJsonFile(this.file, { channels: [] });
+      if (!Array.isArray(data.channels)) {
+        throw new Error('"channels" must be an array');
+      }
+      specs = data.channels;
+    } catch (error) {
+      // Keep the previous channels rather than running with a half-edited file
+      console.error(`[Channels] Failed to load ${this.file}: ${error.message}`);
+      this.loadedMtime = fs.existsSync(this.file) ? fs.statSync(this.file).mtimeMs : 0;
+      if (this.channels.length > 0) return;
+      specs = [];
+    }
+
+    for (const type of BUILTIN_TYPES) {
+      if (!specs.some((spec) => spec?.type === type)) {
+        specs = [...specs, { type, builtin: true }];
+      }
+    }
+
+    const channels = [];
+    specs.forEach((spec, index) => {
+      if (!spec || spec.enabled === false) return;
+      try {
+        channels.push(this._createChannel(spec, channels));
+      } catch (error) {
+        // ntfy without a topic in the environment just means it isn't used
+        if (spec.builtin) return;
+        console.error(`[Channels] Skipping channel ${index + 1}: ${error.message}`);
+      }
+    });
+
+    this.channels = channels;
+    this.loadedMtime = fs.existsSync(this.file) ? fs.statSync(this.file).mtimeMs : 0;
+    console.log(`[Channels] Notifying via ${channels.map((channel) => channel.name).join(', ') || 'nothing'}`);
+  }
+
+  /**
+   * @private
+   */
+  _createChannel(spec, existing) {
+    const Adapter = ADAPTERS[spec.type];
+    if (!Adapter) {
+      throw new Error(`unknown type "${spec.type}" (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    const name = typeof spec.name === 'string' && spec.name ? spec.name : spec.type;
+    if (existing.some((channel) => channel.name === name)) {
+      throw new Error(`duplicate name "${name}"`);
+    }
+
+    const events = spec.events === undefined ? EVENTS : spec.events;
+    if (!Array.isArray(events) || events.some((event) => !EVENTS.includes(event))) {
+      throw new Error(`${name}: events must be a list of ${EVENTS.join(', ')}`);
+    }
+    const minPriority = spec.minPriority === undefined ? 'min' : spec.minPriority;
+    if (!PRIORITIES.includes(minPriority)) {
+      throw new Error(`${name}: minPriority must be one of ${PRIORITIES.join(', ')}`);
+    }
+
+    const options = { ...this.defaults[spec.type], ...spec };
+    return {
+      name,
+      type: spec.type,
+      events,
+      minPriority,
+      quietHours: spec.quietHours !== false,
+      answerButtons: options.answerButtons === true,
+      sent: 0,
+      failed: 0,
+      lastError: null,
+      lastSentAt: null,
+      adapter: new Adapter(options),
+    };
+  }
+}
+
+module.exports = {
+  ChannelManager,
+  ADAPTERS,
+  EVENTS,
+  PRIORITIES,
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { postJson, requireOptions, baseUrl } = require('./http');
+
+/**
+ * Matrix room message, sent as a (bot) user with an access token
+ */
+class MatrixChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.homeserver - e.g. https://matrix.example.org
+   * @param {string} options.accessToken - Access token of the sending user
+   * @param {string} options.roomId - e.g. !abc123:example.org (the user must have joined)
+   */
+  constructor(options = {}) {
+    requireOptions('matrix', options, ['homeserver', 'accessToken', 'roomId']);
+    this.homeserver = baseUrl(options.homeserver);
+    this.accessToken = options.accessToken;
+    this.roomId = options.roomId;
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   * @param {object} delivery - The delivery being attempted (see DeliveryQueue)
+   */
+  async send(notification, delivery) {
+    // The homeserver ignores a repeated transaction id, so a retry after a
+    // lost response doesn't post twice
+    const txnId = `onclaude-${delivery?.id || crypto.randomBytes(6).toString('hex')}`;
+    const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(this.roomId)}` +
+      `/send/m.room.message/${txnId}`;
+    await postJson(url, {
+      msgtype: 'm.text',
+      body: `${notification.title}\n\n${notification.body}\n${notification.url}`,
+      format: 'org.matrix.custom.html',
+      formatted_body: `<strong>${escapeHtml(notification.title)}</strong><br>` +
+        `<pre>${escapeHtml(notification.body)}</pre>` +
+        `<a href="${escapeHtml(notification.url)}">Open OnClaude</a>`,
+    }, { method: 'PUT', headers: { Authorization: `Bearer ${this.accessToken}` } });
+  }
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  MatrixChannel,
+};
@@ -0,0 +1,49 @@
+const Notifier = require('../notifier');
+
+/**
+ * ntfy topic, with answer buttons for prompts
+ */
+class NtfyChannel {
+  /**
+   * @param {object} options - Notifier options: server, topic, token,
+   *   debounceSeconds, clickUrl
+   */
+  constructor(options = {}) {
+    if (!options.topic) {
+      throw new Error('ntfy channel needs "topic"');
+    }
+    this.notifier = new Notifier(options);
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    const result = await this.notifier.notify({
+      prompt: notification.body,
+      title: notification.title,
+      priority: notification.priority,
+      actions: notification.actions,
+      // Reminders repeat the prompt on purpose
+      force: notification.event === 'test' || notification.event === 'reminder',
+    });
+    if (result.reason === 'debounced') return { note: 'debounced' };
+    if (!result.success) {
+      const error = new Error(result.status ? `HTTP ${result.status}: ${result.error}` : result.error || result.reason);
+      error.status = result.status;
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * Allow the same prompt to notify again (the user typed something)
+   */
+  resetDebounce() {
+    this.notifier.resetDebounce();
+  }
+}
+
+module.exports = {
+  NtfyChannel,
+};
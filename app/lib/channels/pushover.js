@@ -0,0 +1,46 @@
+const { request, requireOptions, baseUrl } = require('./http');
+
+// Pushover's 2 (emergency) needs retry/expire parameters and keeps
+// alerting until acknowledged, so nothing maps to it
+const PRIORITY_LEVELS = { min: -2, low: -1, default: 0, high: 1, max: 1 };
+
+/**
+ * Pushover (https://pushover.net)
+ */
+class PushoverChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.token - Application API token
+   * @param {string} options.user - User or group key
+   * @param {string} options.device - Only this device (optional)
+   * @param {string} options.server - API base URL (default https://api.pushover.net)
+   */
+  constructor(options = {}) {
+    requireOptions('pushover', options, ['token', 'user']);
+    this.token = options.token;
+    this.user = options.user;
+    this.device = options.device || null;
+    this.server = baseUrl(options.server || 'https://api.pushover.net');
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    const form = new URLSearchParams({
+      token: this.token,
+      user: this.user,
+      title: notification.title,
+      message: notification.body,
+      priority: String(PRIORITY_LEVELS[notification.priority] ?? 0),
+      url: notification.url,
+      url_title: 'Open OnClaude',
+    });
+    if (this.device) form.set('device', this.device);
+    await request(`${this.server}/1/messages.json`, { body: form });
+  }
+}
+
+module.exports = {
+  PushoverChannel,
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { request, requireOptions } = require('./http');
+
+/**
+ * Generic webhook: the notification as JSON. With a secret, requests
+ * carry an HMAC-SHA256 of "<timestamp>.<body>" so the receiver can check
+ * they came from this server and are recent:
+ *
+ *   X-OnClaude-Timestamp: 1767225600
+ *   X-OnClaude-Signature: sha256=<hex>
+ */
+class WebhookChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Where to POST
+   * @param {string} options.secret - HMAC key (optional)
+   * @param {object} options.headers - Extra request headers (optional)
+   */
+  constructor(options = {}) {
+    requireOptions('webhook', options, ['url']);
+    this.url = options.url;
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * @param {object} notification - See ChannelManager
+   */
+  async send(notification) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = {
+      event: notification.event,
+      priority: notification.priority,
+      title: notification.title,
+      body: notification.body,
+      url: notification.url,
+      actions: notification.actions.map(({ index, label, url }) => ({ index, label, url })),
+      session: notification.session,
+      timestamp,
+    };
+    const rawBody = JSON.stringify(body);
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      'X-OnClaude-Event': notification.event,
+      'X-OnClaude-Timestamp': String(timestamp),
+    };
+    if (this.secret) {
+      headers['X-OnClaude-Signature'] = `sha256=${sign(this.secret, timestamp, rawBody)}`;
+    }
+    await request(this.url, { headers, body: rawBody });
+  }
+}
+
+/**
+ * Signature of a webhook request (also what receivers compute to verify)
+ * @param {string} secret
+ * @param {number} timestamp - X-OnClaude-Timestamp
+ * @param {string} rawBody - The request body exactly as sent
+ * @returns {string} Hex HMAC-SHA256
+ */
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+module.exports = {
+  WebhookChannel,
+  sign,
+};
@@ -0,0 +1,132 @@
+// Push services answer these for subscriptions that no longer exist
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Web Push to every subscribed browser, with answer buttons for prompts
+ */
+class WebPushChannel {
+  /**
+   * @param {object} options
+   * @param {object} options.webpush - Configured web-push module
+   * @param {Map} options.subscriptions - endpoint -> { id, subscription, label, ... }
+   * @param {function} options.onExpired - Called with each entry the push
+   *   service reported gone (it has been removed)
+   * @param {function} options.canAnswer - (entry) => whether the subscription's
+   *   owner may answer prompts right now; others get no answer buttons
+   */
+  constructor(options = {}) {
+    if (!options.webpush || !options.subscriptions) {
+      throw new Error('webpush channel needs the server\'s push subscriptions');
+    }
+    this.webpush = options.webpush;
+    this.subscriptions = options.subscriptions;
+    this.onExpired = options.onExpired || (() => {});
+    this.canAnswer = options.canAnswer || (() => false);
+  }
+
+  /**
+   * Push to all subscriptions (or notification.recipients, a list of
+   * endpoints) at once. Each one's outcome is kept in delivery.targets; a
+   * retry only goes to those that failed.
+   * @param {object} notification - See ChannelManager
+   * @param {object} delivery - The delivery being attempted (see DeliveryQueue)
+   * @throws {Error} If some subscriptions could not be reached
+   */
+  async send(notification, delivery = {}) {
+    const message = { title: notification.title, body: notification.body, url: '/' };
+    // The action URLs answer the prompt without a login, so they only go
+    // to devices of users who may answer
+    const payloads = {
+      answer: JSON.stringify({
+        ...message,
+        actions: notification.actions.map((action) => ({
+          action: `answer-${action.index}`,
+          title: action.label,
+          url: action.path,
+        })),
+      }),
+      read: JSON.stringify({ ...message, actions: [] }),
+    };
+
+    if (!delivery.targets) {
+      const endpoints = notification.recipients || Array.from(this.subscriptions.keys());
+      delivery.targets = endpoints.map((endpoint) => {
+        const target = {
+          device: this.subscriptions.get(endpoint)?.label || describeEndpoint(endpoint),
+          status: 'pending',
+          statusCode: null,
+          error: null,
+        };
+        // Needed for retries but kept out of the history (not enumerable)
+        Object.defineProperty(target, 'endpoint', { value: endpoint });
+        return target;
+      });
+    }
+    const pending = delivery.targets.filter((target) => target.status === 'pending' || target.status === 'failed');
+
+    await Promise.all(pending.map(async (target) => {
+      const entry = this.subscriptions.get(target.endpoint);
+      if (!entry) {
+        target.status = 'gone';
+        return;
+      }
+      try {
+        const payload = this.canAnswer(entry) ? payloads.answer : payloads.read;
+        const response = await this.webpush.sendNotification(entry.subscription, payload, { timeout: 10000 });
+        target.status = 'sent';
+        target.statusCode = response.statusCode;
+        target.error = null;
+        this._record(target.endpoint, { lastSuccessAt: Date.now(), lastError: null });
+      } catch (error) {
+        target.statusCode = error.statusCode || null;
+        if (GONE_STATUSES.includes(error.statusCode)) {
+          target.status = 'gone';
+          this.subscriptions.delete(target.endpoint);
+          console.log(`[WebPush] Removed expired subscription ${target.device}`);
+          this.onExpired(entry);
+        } else {
+          target.status = 'failed';
+          target.error = (error.body || error.message).trim();
+          this._record(target.endpoint, { lastError: target.error });
+        }
+      }
+    }));
+
+    const failed = delivery.targets.filter((target) => target.status === 'failed');
+    if (failed.length > 0) {
+      const error = new Error(`${failed.length} of ${delivery.targets.length} subscription(s) failed: ${failed[0].error}`);
+      // Retry while any of them failed in a way that may pass
+      error.retryable = failed.some((target) => !target.statusCode || target.statusCode >= 500 ||
+        target.statusCode === 429);
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * Keep the latest outcome on the subscription (shown in the device list)
+   * @private
+   */
+  _record(endpoint, fields) {
+    const entry = this.subscriptions.get(endpoint);
+    if (entry) this.subscriptions.set(endpoint, { ...entry, ...fields });
+  }
+}
+
+/**
+ * Push endpoints are capability URLs; show only the service and the tail
+ * @param {string} endpoint
+ * @returns {string} e.g. "fcm.googleapis.com …3f9a2c"
+ */
+function describeEndpoint(endpoint) {
+  try {
+    return `${new URL(endpoint).host} …${endpoint.slice(-6)}`;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+module.exports = {
+  WebPushChannel,
+  describeEndpoint,
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Path to the file
+ * @param {*} fallback - Returned when the file does not exist
+ * @returns {*} Parsed content or fallback
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+function readJsonFile(file, fallback = null) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves a
+ * half-written file behind. Files are private to the server user.
+ * @param {string} file - Path to the file
+ * @param {*} data - JSON-serializable data
+ */
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+};
@@ -0,0 +1,157 @@
+/**
+ * Turns detected prompts and finished tasks into notification text:
+ * what Claude is asking first (so it survives lock-screen truncation),
+ * then the options, then the output that led up to it.
+ */
+
+// Characters each channel type shows. ntfy turns messages over 4096 bytes
+// into attachments; browsers cut push notifications far shorter than the
+// 4KB payload limit; Pushover allows 1024 and Discord 2000 in total.
+const LIMITS = {
+  ntfy: { title: 120, body: 3500 },
+  webpush: { title: 80, body: 500 },
+  pushover: { title: 250, body: 1000 },
+  discord: { title: 120, body: 1800 },
+  slack: { title: 150, body: 3500 },
+  gotify: { title: 120, body: 3500 },
+  matrix: { title: 150, body: 3500 },
+  webhook: { title: 150, body: 3500 },
+  email: { title: 150, body: 10000 },
+};
+
+// ntfy shows at most three action buttons
+const MAX_ACTIONS = 3;
+const ACTION_LABEL_LENGTH = 30;
+// Permission answers in button order: browsers show only the first two
+const PERMISSION_ACTIONS = [
+  ['allow', 'Allow once'],
+  ['deny', 'Deny'],
+  ['always', 'Always allow'],
+];
+
+/**
+ * Shorten text to a length, marking the cut
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return text.slice(0, maxLength - 1).trimEnd() + '…';
+}
+
+/**
+ * "Input needed · api (/workspace/api)"
+ * @private
+ */
+function buildTitle(event, session, limit) {
+  if (!session) return truncate(event, limit);
+  const where = session.cwd ? `${session.name} (${session.cwd})` : session.name;
+  return truncate(`${event} · ${where}`, limit);
+}
+
+/**
+ * Required lines first, then as many context lines (closest to the
+ * prompt first) as still fit
+ * @private
+ */
+function buildBody(lines, context, limit) {
+  const head = truncate(lines.filter(Boolean).join('\n'), limit);
+  const kept = [];
+  let length = head.length + 2; // blank line between head and context
+  for (let i = context.length - 1; i >= 0; i--) {
+    if (length + context[i].length + 1 > limit) break;
+    kept.unshift(context[i]);
+    length += context[i].length + 1;
+  }
+  if (kept.length === 0) return head;
+  return head ? `${head}\n\n${kept.join('\n')}` : kept.join('\n');
+}
+
+/**
+ * @param {object} permission - From the permission parser
+ * @returns {string|null} e.g. "Bash: rm -rf build/"
+ * @private
+ */
+function describePermission(permission) {
+  if (!permission) return null;
+  const target = permission.command || permission.path || permission.url;
+  return target ? `${permission.tool || 'Tool'}: ${target}` : permission.tool;
+}
+
+/**
+ * Notification for a detected prompt
+ * @param {object} trigger - Watcher trigger { prompt, question, options, kind, permission, context }
+ * @param {object} session - { name, cwd } of the Claude session (optional)
+ * @param {string} provider - Channel type (key of LIMITS)
+ * @param {object} options
+ * @param {number} options.waitingMinutes - Set for reminders: how long the prompt has been open
+ * @returns {object} { title, body }
+ */
+function summarizePrompt(trigger, session, provider = 'ntfy', { waitingMinutes } = {}) {
+  const limits = LIMITS[provider] || LIMITS.ntfy;
+  const permission = trigger.permission;
+
+  const lines = [
+    describePermission(permission),
+    permission?.description,
+    trigger.question || trigger.prompt,
+    ...(trigger.options || []).map((option) => option.label),
+  ];
+  // What Claude printed before asking (above the dialog for permissions)
+  const context = trigger.context || [];
+
+  return {
+    title: buildTitle(
+      waitingMinutes === undefined ? 'Input needed' : `Still waiting (${waitingMinutes} min)`,
+      session,
+      limits.title
+    ),
+    body: buildBody(lines, context, limits.body),
+  };
+}
+
+/**
+ * Buttons for answering a prompt from the notification
+ * @param {object} trigger - Watcher trigger { options, kind, permission }
+ * @returns {object[]} [{ index, label }], at most MAX_ACTIONS
+ */
+function summarizeActions(trigger) {
+  const options = trigger.options || [];
+  const actions = trigger.kind === 'permission' ? trigger.permission?.actions || {} : {};
+  const permissionActions = PERMISSION_ACTIONS
+    .filter(([action]) => Number.isInteger(actions[action]) && options[actions[action]])
+    .map(([action, label]) => ({ index: actions[action], label }));
+  if (permissionActions.length > 0) return permissionActions;
+
+  return options.slice(0, MAX_ACTIONS).map((option, index) => ({
+    index,
+    label: truncate(option.label, ACTION_LABEL_LENGTH),
+  }));
+}
+
+/**
+ * Notification for Claude finishing (idle at its input box, or exited)
+ * @param {object} info - { lastLines, exitCode }
+ * @param {object} session - { name, cwd }
+ * @param {string} provider - Channel type (key of LIMITS)
+ * @returns {object} { title, body }
+ */
+function summarizeFinished({ lastLines = [], exitCode }, session, provider = 'ntfy') {
+  const limits = LIMITS[provider] || LIMITS.ntfy;
+  const event = exitCode === undefined ? 'Task finished' : `Exited (code ${exitCode})`;
+  const fallback = exitCode === undefined ? 'Claude is waiting for input' : 'Claude has stopped';
+  return {
+    title: buildTitle(event, session, limits.title),
+    // The last lines are the summary, so keep the end rather than the start
+    body: buildBody([], lastLines, limits.body) || fallback,
+  };
+}
+
+module.exports = {
+  summarizePrompt,
+  summarizeFinished,
+  summarizeActions,
+  truncate,
+  LIMITS,
+};
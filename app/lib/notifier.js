@@ -1,3 +1,6 @@
+// ntfy shows at most three action buttons
+const MAX_ACTIONS = 3;
+
 /**
  * Sends push notifications via ntfy
  */
@@ -8,18 +11,13 @@ class Notifier {
     this.token = options.token || null;
     this.debounceSeconds = options.debounceSeconds || 30;
     this.clickUrl = options.clickUrl || null;
+    // ntfy turns longer messages into attachments
+    this.maxMessageLength = options.maxMessageLength || 4000;
 
     // Debounce state
     this.lastNotificationHash = null;
     this.lastNotificationTime = 0;
 
-    // Statistics
-    this.stats = {
-      sent: 0,
-      debounced: 0,
-      failed: 0,
-    };
-
     if (!this.topic) {
       console.warn('[Notifier] No topic configured - notifications disabled');
     }
@@ -32,9 +30,10 @@ class Notifier {
    * @param {string} options.title - Optional title override
    * @param {string} options.priority - Priority level (min, low, default, high, max)
    * @param {boolean} options.force - Skip debounce check
+   * @param {object[]} options.actions - Buttons that POST to a URL: [{ label, url }]
    * @returns {Promise<object>} - Result of the notification attempt
    */
-  async notify({ prompt, title, priority = 'high', force = false }) {
+  async notify({ prompt, title, priority = 'high', force = false, actions = [] }) {
     if (!this.topic) {
       return { success: false, reason: 'no_topic' };
     }
@@ -50,7 +49,6 @@ class Notifier {
         promptHash === this.lastNotificationHash &&
         timeSinceLastSec < this.debounceSeconds
       ) {
-        this.stats.debounced++;
         console.log(
           `[Notifier] Debounced (same prompt, ${timeSinceLastSec.toFixed(1)}s since last)`
         );
@@ -60,9 +58,9 @@ class Notifier {
 
     // Prepare notification
     const url = `${this.server.replace(/\/$/, '')}/${this.topic}`;
-    const body = this._truncate(prompt, 200);
+    const body = this._truncate(prompt, this.maxMessageLength);
     const headers = {
-      Title: title || 'Claude Code - Input Needed',
+      Title: this._encodeHeader(title || 'Claude Code - Input Needed'),
       Priority: priority,
       Tags: 'robot',
     };
@@ -71,6 +69,10 @@ class Notifier {
       headers['Click'] = this.clickUrl;
     }
 
+    if (actions.length > 0) {
+      headers['Actions'] = this._formatActions(actions);
+    }
+
     if (this.token) {
       headers['Authorization'] = `Bearer ${this.token}`;
     }
@@ -80,17 +82,16 @@ class Notifier {
         method: 'POST',
         headers,
         body,
+        signal: AbortSignal.timeout(10000),
       });
 
       if (response.ok) {
         this.lastNotificationHash = promptHash;
         this.lastNotificationTime = now;
-        this.stats.sent++;
         console.log(`[Notifier] Sent notification: "${body.substring(0, 50)}..."`);
         return { success: true };
       } else {
         const errorText = await response.text();
-        this.stats.failed++;
         console.error(
           `[Notifier] Failed: ${response.status} ${response.statusText} - ${errorText}`
         );
@@ -102,33 +103,11 @@ class Notifier {
         };
       }
     } catch (error) {
-      this.stats.failed++;
       console.error(`[Notifier] Error: ${error.message}`);
       return { success: false, reason: 'network_error', error: error.message };
     }
   }
 
-  /**
-   * Send a test notification
-   * @returns {Promise<object>}
-   */
-  async test() {
-    return this.notify({
-      prompt: 'Test notification from Claude Code Mobile Controller',
-      title: 'Claude Code - Test',
-      priority: 'default',
-      force: true,
-    });
-  }
-
-  /**
-   * Get notification statistics
-   * @returns {object}
-   */
-  getStats() {
-    return { ...this.stats };
-  }
-
   /**
    * Reset debounce state (useful after user interaction)
    */
@@ -137,19 +116,6 @@ class Notifier {
     this.lastNotificationTime = 0;
   }
 
-  /**
-   * Update configuration
-   * @param {object} options
-   */
-  configure(options) {
-    if (options.server !== undefined) this.server = options.server;
-    if (options.topic !== undefined) this.topic = options.topic;
-    if (options.token !== undefined) this.token = options.token;
-    if (options.debounceSeconds !== undefined)
-      this.debounceSeconds = options.debounceSeconds;
-    if (options.clickUrl !== undefined) this.clickUrl = options.clickUrl;
-  }
-
   /**
    * Truncate string to max length
    * @private
@@ -159,6 +125,32 @@ class Notifier {
     return str.substring(0, maxLength - 3) + '...';
   }
 
+  /**
+   * ntfy's short header format for HTTP actions. The app sends the
+   * request itself, then clears the notification.
+   * @private
+   */
+  _formatActions(actions) {
+    return actions
+      .slice(0, MAX_ACTIONS)
+      .map(({ label, url }) => {
+        // Commas and semicolons separate fields and actions; headers are Latin-1
+        const text = label.replace(/[,;"]/g, ' ').replace(/[^\x20-\x7e\xa0-\xff]/g, '').trim();
+        return `http, ${text || 'Answer'}, ${url}, method=POST, clear=true`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * HTTP headers are Latin-1; ntfy decodes RFC 2047 for anything else
+   * (e.g. session folders with non-Latin characters)
+   * @private
+   */
+  _encodeHeader(value) {
+    if (/^[\x20-\x7e\xa0-\xff]*$/.test(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
   /**
    * Simple string hash for comparison
    * @private
@@ -1,61 +1,209 @@
 /**
  * Parses Claude Code prompts and extracts structured options for the UI
+ *
+ * A parsed prompt looks like:
+ *   {
+ *     prompt: 'Do you want to proceed?',  // question, or 'Select option:' if none was found
+ *     question: 'Do you want to proceed?', // null if none was found
+ *     options: [{ label: '1. Yes', value: '1' }, ...],
+ *     selectedIndex: 0,                    // option marked with ❯, or null
+ *     kind: 'permission',                  // permission | menu | yes-no | confirm | free-text
+ *     permission: { tool, command, ... },  // tool details for permission prompts, see permission-parser
+ *     context: ['⏺ I'll clean the build.'], // output just above the prompt
+ *     patternName: 'numbered-options',
+ *   }
  */
 
+const { parsePermission } = require('./permission-parser');
+
+const DEFAULT_PROMPT = 'Select option:';
+
+// Claude draws prompts inside boxes; these characters are layout, not text
+const BOX_EDGES = /^[\s│┃║]+|[\s│┃║]+$/g;
+const BORDER_LINE = /^[\s─━═╭╮╰╯┌┐└┘├┤│┃║╌-]*$/;
+
+// "❯ 1. Yes" / "  2. No, and tell Claude what to do differently (esc)"
+const NUMBERED_LINE = /^(❯|>)?\s*(\d{1,2})\.\s+(\S.*)$/;
+// Lines that may sit between two numbered options (wrapped labels, descriptions)
+const MAX_OPTION_GAP = 3;
+// How far above the options to look for the question
+const QUESTION_LOOKBACK = 8;
+
+// Questions Claude asks before running a tool
+const PERMISSION_QUESTION = /^Do you want to (?:proceed|make this edit|create|allow|run|fetch|delete|overwrite|execute)\b/i;
+const PERMISSION_OPTION = /don't ask again/i;
+
+// Input box chrome below Claude's last message
+const INPUT_BOX_LINE = /^(?:>|\?\s+for shortcuts)|shift\+tab|auto-accept|bypass permissions/i;
+// Only Claude's real input box marks a finished reply: its bordered "│ >"
+// line or the shortcuts / mode footer. A bare "> " can be any CLI's prompt.
+const BOXED_INPUT_LINE = /^\s*[│┃║]\s*>/;
+const INPUT_BOX_FOOTER = /\?\s+for shortcuts|shift\+tab|auto-accept|bypass permissions/i;
+const BUSY_LINE = /esc to interrupt/i;
+// The input box plus the status lines under it
+const INPUT_BOX_LOOKBACK = 10;
+// Output above a prompt included as context in notifications
+const CONTEXT_LINES = 5;
+const CONTEXT_LOOKBACK = 15;
+
+/**
+ * Strip box edges from a line
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanLine(line) {
+  return line.replace(BOX_EDGES, '');
+}
+
+/**
+ * Find the nearest line ending in '?' or ':' above a line index
+ * @param {string[]} lines - Cleaned lines
+ * @param {number} index - Line to start above
+ * @returns {string|null}
+ */
+function findQuestionAbove(lines, index) {
+  for (let i = index - 1; i >= 0 && i >= index - QUESTION_LOOKBACK; i--) {
+    const line = lines[i].trim();
+    if (/[?:]$/.test(line) && !NUMBERED_LINE.test(line)) return line;
+  }
+  return null;
+}
+
 /**
- * Pattern definitions for option extraction
+ * Question for prompts whose marker sits on the question line itself,
+ * e.g. "Overwrite config.json? (y/n)". Text after the marker is what the
+ * user is typing, and must not change the question.
+ * @param {string[]} lines - Cleaned lines
+ * @param {number} index - Line with the marker
+ * @param {RegExp} marker
+ * @returns {string|null}
+ */
+function questionOnLine(lines, index, marker) {
+  const line = lines[index] || '';
+  const at = line.search(marker);
+  const text = (at === -1 ? line : line.slice(0, at)).trim();
+  return text.length > 1 ? text : findQuestionAbove(lines, index);
+}
+
+/**
+ * Whether Claude's input box is the last thing below a line, i.e. the
+ * output above it is a finished reply rather than a prompt
+ * @param {string[]} rawLines - Lines as rendered, box edges included
+ * @param {number} index - Line to look below
+ * @returns {boolean}
+ */
+function inputBoxBelow(rawLines, index) {
+  for (let i = rawLines.length - 1; i > index; i--) {
+    const line = rawLines[i].trim();
+    if (!line || BORDER_LINE.test(line)) continue;
+    return (BOXED_INPUT_LINE.test(line) || INPUT_BOX_FOOTER.test(line)) && !BUSY_LINE.test(line);
+  }
+  return false;
+}
+
+/**
+ * Index of the last line matching a regex
+ * @private
+ */
+function lastLineMatching(lines, regex) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    regex.lastIndex = 0;
+    if (regex.test(lines[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Pattern definitions for option extraction.
+ * extract(match, text, lines) returns an options array, or
+ * { options, question, selectedIndex, kind } when it knows more.
  */
 const OPTION_PATTERNS = [
   // Pattern: (y/n) or [y/n] or [Y/n] or [y/N]
   {
     name: 'yes-no',
+    kind: 'yes-no',
     regex: /\(y\/n\)|\[y\/n\]|\[Y\/n\]|\[y\/N\]/i,
-    extract: () => [
-      { label: 'Yes', value: 'y' },
-      { label: 'No', value: 'n' },
-    ],
+    extract: (match, text, lines) => ({
+      options: [
+        { label: 'Yes', value: 'y' },
+        { label: 'No', value: 'n' },
+      ],
+      question: questionOnLine(lines, lastLineMatching(lines, /\(y\/n\)|\[y\/n\]/i), /\(y\/n\)|\[y\/n\]/i),
+    }),
     priority: 10,
   },
 
   // Pattern: (y/n/a) or (y/n/always)
   {
     name: 'yes-no-always',
+    kind: 'yes-no',
     regex: /\(y\/n\/a(?:lways)?\)/i,
-    extract: () => [
-      { label: 'Yes', value: 'y' },
-      { label: 'No', value: 'n' },
-      { label: 'Always', value: 'a' },
-    ],
+    extract: (match, text, lines) => ({
+      options: [
+        { label: 'Yes', value: 'y' },
+        { label: 'No', value: 'n' },
+        { label: 'Always', value: 'a' },
+      ],
+      question: questionOnLine(lines, lastLineMatching(lines, /\(y\/n\/a(?:lways)?\)/i), /\(y\/n\/a(?:lways)?\)/i),
+    }),
     priority: 11,
   },
 
-  // Pattern: Numbered options - simple approach
-  // Looks for any line containing "1." through "9."
+  // Pattern: Numbered options, e.g. Claude's permission and selection menus.
+  // Takes the last run of "1. ... 2. ..." lines so numbered lists earlier
+  // in Claude's output don't leak into the menu.
   {
     name: 'numbered-options',
-    regex: /\d+\.\s+[A-Z]/,
-    extract: (match, text) => {
-      const found = new Map();
-
-      // Split into lines and look for numbered items
-      const lines = text.split('\n');
-      for (const line of lines) {
-        // Simple pattern: find "N. " followed by a capital letter anywhere in line
-        const match = line.match(/(\d+)\.\s+([A-Z])/);
-        if (match) {
-          const num = match[1];
-          if (!found.has(num) && parseInt(num) >= 1 && parseInt(num) <= 20) {
-            found.set(num, true);
+    regex: /\d+\.\s+\S/,
+    extract: (match, text, lines) => {
+      const found = [];
+      let expected = null;
+      let gap = 0;
+      let firstLine = -1;
+
+      for (let i = lines.length - 1; i >= 0; i--) {
+        const m = lines[i].trim().match(NUMBERED_LINE);
+        const num = m ? parseInt(m[2], 10) : null;
+
+        if (expected === null) {
+          // Looking for the last option of the menu
+          if (num >= 2 && num <= 20) {
+            expected = num;
+          } else {
+            continue;
           }
         }
+
+        if (num !== expected) {
+          if (++gap > MAX_OPTION_GAP) break;
+          continue;
+        }
+
+        found.unshift({
+          label: `${num}. ${m[3].trim()}`,
+          value: String(num),
+          selected: m[1] === '❯',
+        });
+        firstLine = i;
+        gap = 0;
+        if (--expected === 0) break;
       }
 
-      // Convert to sorted array
-      const options = Array.from(found.keys())
-        .sort((a, b) => parseInt(a) - parseInt(b))
-        .map(num => ({ label: num, value: num }));
+      if (expected !== 0 || found.length < 2) return null;
+
+      const selectedIndex = found.findIndex((option) => option.selected);
+      const options = found.map(({ label, value }) => ({ label, value }));
+      const question = findQuestionAbove(lines, firstLine);
+      const isPermission = (question && PERMISSION_QUESTION.test(question)) ||
+        options.some((option) => PERMISSION_OPTION.test(option.label));
 
-      return options.length >= 2 ? options : null;
+      return {
+        options,
+        question,
+        selectedIndex: selectedIndex === -1 ? null : selectedIndex,
+        kind: isPermission ? 'permission' : 'menu',
+      };
     },
     priority: 15,
   },
@@ -63,16 +211,24 @@ const OPTION_PATTERNS = [
   // Pattern: Press Enter to continue
   {
     name: 'press-enter',
+    kind: 'confirm',
     regex: /press\s+enter|Enter to (?:confirm|select)/i,
-    extract: () => [{ label: 'OK', value: '' }],
+    extract: (match, text, lines) => {
+      const index = lastLineMatching(lines, /press\s+enter|Enter to (?:confirm|select)/i);
+      return {
+        options: [{ label: 'OK', value: '' }],
+        question: findQuestionAbove(lines, index + 1) || lines[index]?.trim() || null,
+      };
+    },
     priority: 9,
   },
 
   // Pattern: (a)pply, (r)eject, (e)dit style
   {
     name: 'letter-in-parens',
+    kind: 'menu',
     regex: /\(([a-z])\)([a-z]+)/gi,
-    extract: (match, text) => {
+    extract: (match, text, lines) => {
       const options = [];
       const pattern = /\(([a-z])\)([a-z]+)/gi;
       let m;
@@ -82,7 +238,11 @@ const OPTION_PATTERNS = [
         const label = letter.toUpperCase() + rest;
         options.push({ label, value: letter });
       }
-      return options.length >= 2 ? options : null;
+      if (options.length < 2) return null;
+      return {
+        options,
+        question: findQuestionAbove(lines, lastLineMatching(lines, /\(([a-z])\)([a-z]+)/i) + 1),
+      };
     },
     priority: 8,
   },
@@ -90,28 +250,130 @@ const OPTION_PATTERNS = [
 
 const sortedPatterns = [...OPTION_PATTERNS].sort((a, b) => b.priority - a.priority);
 
+/**
+ * Claude ended its turn with a question and is waiting in the input box:
+ * the last line of content (ignoring the input box) ends with '?'
+ * @param {string[]} lines - Cleaned lines
+ * @returns {string|null} The question
+ */
+function findTrailingQuestion(lines) {
+  for (let i = lines.length - 1; i >= 0 && i >= lines.length - QUESTION_LOOKBACK; i--) {
+    const line = lines[i].trim();
+    if (BUSY_LINE.test(line)) return null;
+    if (!line || BORDER_LINE.test(line) || INPUT_BOX_LINE.test(line)) continue;
+    return line.length > 3 && line.endsWith('?') ? line.replace(/^[⏺●]\s*/, '') : null;
+  }
+  return null;
+}
+
+/**
+ * Claude is back at its input box with nothing to ask: the bottom of the
+ * screen is the input box and no busy indicator is showing
+ * @param {string} text - Rendered screen text
+ * @returns {string[]|null} Content lines above the input box, or null if
+ *   the input box isn't showing
+ */
+function findInputBox(text) {
+  if (!text || typeof text !== 'string') return null;
+  const lines = text.trim().split('\n').slice(-50).map(cleanLine);
+
+  let sawInputBox = false;
+  for (let i = lines.length - 1; i >= 0 && i >= lines.length - INPUT_BOX_LOOKBACK; i--) {
+    const line = lines[i].trim();
+    if (BUSY_LINE.test(line)) return null;
+    if (!line || BORDER_LINE.test(line)) continue;
+    if (INPUT_BOX_LINE.test(line)) {
+      sawInputBox = true;
+      continue;
+    }
+    if (!sawInputBox) return null;
+    // Earlier input boxes scrolled up with the conversation
+    return lines.slice(0, i + 1)
+      .map((content) => content.trim())
+      .filter((content) => content && !BORDER_LINE.test(content) && !INPUT_BOX_LINE.test(content));
+  }
+  return null;
+}
+
+/**
+ * Output just above a prompt (what Claude said before asking), for
+ * notifications. Permission dialogs start above their box.
+ * @param {string[]} rawLines - Lines as rendered
+ * @param {string[]} lines - Cleaned lines
+ * @param {string|null} question
+ * @param {string} kind
+ * @returns {string[]}
+ */
+function findContext(rawLines, lines, question, kind) {
+  if (!question) return [];
+  let index = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].includes(question)) {
+      index = i;
+      break;
+    }
+  }
+  if (kind === 'permission') {
+    while (index > 0 && !/^\s*╭/.test(rawLines[index])) index--;
+  }
+  if (index <= 0) return [];
+
+  return lines.slice(Math.max(0, index - CONTEXT_LOOKBACK), index)
+    .map((line) => line.trim())
+    .filter((line) => line && !BORDER_LINE.test(line) && !INPUT_BOX_LINE.test(line))
+    .slice(-CONTEXT_LINES);
+}
+
 function parseOptions(text) {
   if (!text || typeof text !== 'string') {
     return null;
   }
 
-  const lines = text.trim().split('\n');
-  const recentLines = lines.slice(-50).join('\n');
+  const rawLines = text.trim().split('\n').slice(-50);
+  const lines = rawLines.map(cleanLine);
+  const recentLines = lines.join('\n');
 
   for (const pattern of sortedPatterns) {
+    pattern.regex.lastIndex = 0;
     const match = recentLines.match(pattern.regex);
-    if (match) {
-      const options = pattern.extract(match, recentLines);
-      if (options && options.length > 0) {
-        return {
-          prompt: 'Select option:',
-          options,
-          patternName: pattern.name,
-        };
-      }
+    if (!match) continue;
+    // Something in a finished reply that looks like a prompt, with the
+    // input box under it, is not waiting for an answer
+    const matchLine = recentLines.slice(0, recentLines.search(pattern.regex)).split('\n').length - 1;
+    if (inputBoxBelow(rawLines, matchLine)) continue;
+
+    const extracted = pattern.extract(match, recentLines, lines);
+    const result = Array.isArray(extracted) ? { options: extracted } : extracted;
+    if (result?.options && result.options.length > 0) {
+      const question = result.question || null;
+      const kind = result.kind || pattern.kind || 'menu';
+      return {
+        prompt: question || DEFAULT_PROMPT,
+        question,
+        options: result.options,
+        selectedIndex: result.selectedIndex ?? null,
+        kind,
+        permission: kind === 'permission' ? parsePermission(rawLines) : null,
+        context: findContext(rawLines, lines, question, kind),
+        patternName: pattern.name,
+      };
     }
   }
 
+  const question = findTrailingQuestion(lines);
+  if (question) {
+    return {
+      prompt: question,
+      question,
+      options: [],
+      selectedIndex: null,
+      kind: 'free-text',
+      permission: null,
+      context: findContext(rawLines, lines, question, 'free-text'),
+      patternName: 'free-text',
+    };
+  }
+
   return null;
 }
 
@@ -131,6 +393,7 @@ function addPattern(pattern) {
 
 module.exports = {
   parseOptions,
+  findInputBox,
   containsTrigger,
   addPattern,
   OPTION_PATTERNS,
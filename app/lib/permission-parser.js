@@ -0,0 +1,255 @@
+/**
+ * Parses Claude Code's tool-approval dialogs into structured data:
+ *
+ *   ╭───────────────────────────────────────────╮
+ *   │ Bash command                              │
+ *   │                                           │
+ *   │   rm -rf build/                           │
+ *   │                                           │
+ *   │ Do you want to proceed?                   │
+ *   │ ❯ 1. Yes                                  │
+ *   │   2. Yes, and don't ask again for rm …    │
+ *   │   3. No, and tell Claude what to do …     │
+ *   ╰───────────────────────────────────────────╯
+ *
+ * becomes
+ *
+ *   {
+ *     tool: 'Bash',
+ *     command: 'rm -rf build/',
+ *     path: null,
+ *     url: null,
+ *     description: null,
+ *     preview: null,
+ *     ambiguous: false, // see describeCommand()
+ *     actions: { allow: 0, always: 1, deny: 2 },  // option indexes
+ *   }
+ */
+
+// Dialog title -> tool name as Claude Code reports it
+const DIALOG_TOOLS = [
+  { title: /^Bash command$/i, tool: 'Bash' },
+  { title: /^Edit file$/i, tool: 'Edit' },
+  { title: /^(?:Create|Write|Overwrite) file$/i, tool: 'Write' },
+  { title: /^Read file$/i, tool: 'Read' },
+  { title: /^Edit notebook$/i, tool: 'NotebookEdit' },
+  { title: /^Fetch$/i, tool: 'WebFetch' },
+  { title: /^Web search$/i, tool: 'WebSearch' },
+  { title: /^Tool use$/i, tool: null }, // MCP and other tools, named in the body
+];
+
+// The question that ends the dialog body, with what it tells us about the tool
+const QUESTION_PATTERNS = [
+  { regex: /^Do you want to make this edit to (.+?)\?$/i, tool: 'Edit', field: 'path' },
+  { regex: /^Do you want to (?:create|overwrite) (.+?)\?$/i, tool: 'Write', field: 'path' },
+  { regex: /^Do you want to allow Claude to fetch this content\?$/i, tool: 'WebFetch' },
+  { regex: /^Do you want to (?:proceed|allow|run|execute|delete|fetch)\b.*\?$/i },
+];
+
+// How far above the question the dialog title may be
+const MAX_BODY_LINES = 40;
+// Previews are for a phone screen, not a full diff viewer
+const MAX_PREVIEW_LINES = 30;
+const MAX_PREVIEW_CHARS = 4000;
+
+// Box edges (possibly nested, for diffs) with the space next to them;
+// remaining indentation is kept for previews
+const BOX_START = /^\s*(?:[│┃║] ?)+/;
+const BOX_END = /(?: ?[│┃║])+\s*$/;
+const BORDER_LINE = /^[\s─━═╭╮╰╯┌┐└┘├┤│┃║╌-]*$/;
+const OPTION_LINE = /^(?:❯|>)?\s*(\d{1,2})\.\s+(\S.*)$/;
+const URL_PATTERN = /https?:\/\/\S+/;
+// "github - create_issue(title: "x") (MCP)" or "Task(Explore the repo)"
+const TOOL_CALL_LINE = /^(.+?)\((.*)\)$/;
+const MCP_SUFFIX = /\s+\(MCP\)$/;
+
+/**
+ * Map option labels to the three answers every dialog offers
+ * @param {string[]} labels - Option labels after the question
+ * @returns {object} { allow, always, deny } option indexes (null if missing)
+ */
+function classifyOptions(labels) {
+  const actions = { allow: null, always: null, deny: null };
+  labels.forEach((label, index) => {
+    if (/^no\b/i.test(label)) {
+      actions.deny ??= index;
+    } else if (/don't ask again|always|this session/i.test(label)) {
+      actions.always ??= index;
+    } else if (/^yes\b/i.test(label)) {
+      actions.allow ??= index;
+    }
+  });
+  return actions;
+}
+
+/**
+ * Dedent and trim a preview to something a phone can show
+ * @private
+ */
+function truncatePreview(lines) {
+  if (lines.length === 0) return null;
+  const indent = Math.min(...lines.map((line) => line.match(/^ */)[0].length));
+  let preview = lines.slice(0, MAX_PREVIEW_LINES).map((line) => line.slice(indent)).join('\n');
+  if (preview.length > MAX_PREVIEW_CHARS) preview = preview.slice(0, MAX_PREVIEW_CHARS);
+  if (lines.length > MAX_PREVIEW_LINES || preview.length === MAX_PREVIEW_CHARS) preview += '\n…';
+  return preview;
+}
+
+/**
+ * Split a Bash dialog body into the command and Claude's description of it.
+ * Ink prints both at the same indent, and wraps a long command onto more
+ * lines at that indent too, so the last line is only taken as the
+ * description when it is outdented or set off by a blank line. Otherwise
+ * the whole body is the command, and with more than one line the result is
+ * marked ambiguous. A blank line can also be part of the command, so that
+ * split is marked ambiguous as well.
+ * @param {object} result - Parse result to fill in
+ * @param {string[]} section - Body lines, blank lines included
+ * @private
+ */
+function describeCommand(result, section) {
+  const indexes = [];
+  section.forEach((line, index) => {
+    if (line.trim()) indexes.push(index);
+  });
+  if (indexes.length === 0) return;
+
+  const indent = (line) => line.match(/^ */)[0].length;
+  const dedent = (lines) => {
+    const width = Math.min(...lines.filter((line) => line.trim()).map(indent));
+    return lines.map((line) => line.slice(width).trimEnd()).join('\n');
+  };
+
+  const first = indexes[0];
+  const last = indexes[indexes.length - 1];
+  if (indexes.length > 1) {
+    const command = section.slice(first, last);
+    const outdented = indent(section[last]) < Math.min(...command.filter((line) => line.trim()).map(indent));
+    const blankBefore = !section[last - 1].trim();
+    if (outdented || blankBefore) {
+      result.command = dedent(command).trimEnd();
+      result.description = section[last].trim();
+      result.ambiguous = !outdented;
+      return;
+    }
+  }
+
+  result.command = dedent(section.slice(first, last + 1));
+  result.ambiguous = indexes.length > 1;
+}
+
+/**
+ * Fill in tool details from the lines between the dialog title and the question
+ * @param {object} result - Parse result to fill in
+ * @param {string[]} body - Trimmed non-blank lines
+ * @param {string[]} rawBody - The same lines with their indentation
+ * @param {string[]} section - Untrimmed lines, blank lines included
+ * @private
+ */
+function describeBody(result, body, rawBody, section) {
+  switch (result.tool) {
+    case 'Bash':
+      describeCommand(result, section);
+      break;
+
+    case 'Edit':
+    case 'Write':
+    case 'Read':
+    case 'NotebookEdit':
+      // File path, then the diff or file contents
+      result.path = body[0] || result.path;
+      result.preview = truncatePreview(rawBody.slice(1));
+      break;
+
+    case 'WebFetch':
+    case 'WebSearch': {
+      const urlLine = body.find((line) => URL_PATTERN.test(line));
+      result.url = urlLine ? urlLine.match(URL_PATTERN)[0] : null;
+      result.command = result.url ? null : body[0] || null;
+      result.description = body.filter((line) => line !== urlLine && line !== result.command).join(' ') || null;
+      break;
+    }
+
+    default: {
+      // Generic "Tool use" dialog: first line names the tool and its input
+      const call = body[0]?.replace(MCP_SUFFIX, '').match(TOOL_CALL_LINE);
+      if (call) {
+        result.tool = call[1].trim();
+        result.command = call[2].trim() || null;
+      } else {
+        result.command = body[0] || null;
+      }
+      result.description = body.slice(1).join(' ') || null;
+    }
+  }
+}
+
+/**
+ * Parse the last permission dialog in a block of terminal text
+ * @param {string|string[]} input - ANSI-stripped text, or its lines
+ * @returns {object|null} Permission details, or null if no dialog was found
+ */
+function parsePermission(input) {
+  if (!input) return null;
+  const lines = (Array.isArray(input) ? input : String(input).split('\n'))
+    .map((line) => line.replace(BOX_START, '').replace(BOX_END, '').trimEnd());
+
+  // Find the question, bottom up
+  let questionIndex = -1;
+  let questionPattern = null;
+  let questionMatch = null;
+  for (let i = lines.length - 1; i >= 0 && questionIndex === -1; i--) {
+    for (const pattern of QUESTION_PATTERNS) {
+      const match = lines[i].trim().match(pattern.regex);
+      if (match) {
+        questionIndex = i;
+        questionPattern = pattern;
+        questionMatch = match;
+        break;
+      }
+    }
+  }
+  if (questionIndex === -1) return null;
+
+  // Options follow the question
+  const labels = [];
+  for (let i = questionIndex + 1; i < lines.length; i++) {
+    const match = lines[i].trim().match(OPTION_LINE);
+    if (match) labels.push(match[2].trim());
+  }
+  if (labels.length < 2) return null;
+
+  const result = {
+    tool: questionPattern.tool || null,
+    command: null,
+    path: questionPattern.field === 'path' ? questionMatch[1] : null,
+    url: null,
+    description: null,
+    preview: null,
+    ambiguous: false,
+    actions: classifyOptions(labels),
+  };
+
+  // Walk up to the dialog title; it may have scrolled out of the buffer
+  // for long diffs, in which case the question is all we have
+  for (let i = questionIndex - 1; i >= 0 && i >= questionIndex - MAX_BODY_LINES; i--) {
+    const title = lines[i].trim();
+    const dialog = DIALOG_TOOLS.find((entry) => entry.title.test(title));
+    if (!dialog) continue;
+
+    result.tool = dialog.tool || result.tool;
+    const section = lines.slice(i + 1, questionIndex)
+      .filter((line) => !line.trim() || !BORDER_LINE.test(line));
+    const rawBody = section.filter((line) => line.trim());
+    describeBody(result, rawBody.map((line) => line.trim()), rawBody, section);
+    break;
+  }
+
+  if (!result.tool && !result.command && !result.path) return null;
+  return result;
+}
+
+module.exports = {
+  parsePermission,
+  classifyOptions,
+};
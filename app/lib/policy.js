@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+/**
+ * Rule actions
+ * - allow: answer the prompt with its "Yes" option
+ * - deny: answer with its "No" option
+ * - ask: leave the prompt for a human (use it to carve exceptions out of a
+ *   broader allow rule further down)
+ */
+const ACTIONS = ['allow', 'deny', 'ask'];
+const MATCH_FIELDS = ['tool', 'command', 'path', 'url', 'cwd'];
+const MAX_RULES = 200;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_DECISIONS = 100;
+
+// Shell syntax that can chain a second command onto an allowed one
+// ("npm test; rm -rf ~"). Allow rules only match it when the pattern
+// itself spells it out.
+const SHELL_CHAINING = /[;&|`<>\n]|\$\(/;
+
+/**
+ * Convert a glob to a RegExp. `**` matches anything, `*` matches anything
+ * but `/` (or anything at all when pathAware is false), `?` matches one
+ * character.
+ * @param {string} glob
+ * @param {boolean} pathAware - Treat `/` as a separator
+ * @returns {RegExp}
+ */
+function globToRegExp(glob, pathAware) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      // "src/**/x" also matches "src/x"
+      if (glob[i + 1] === '/') {
+        source += '/?';
+        i++;
+      }
+    } else if (char === '*') {
+      source += pathAware ? '[^/]*' : '.*';
+    } else if (char === '?') {
+      source += pathAware ? '[^/]' : '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Rules for answering Claude Code permission prompts automatically,
+ * kept in a JSON file:
+ *
+ *   {
+ *     "enabled": true,
+ *     "rules": [
+ *       { "action": "deny", "tool": "Bash", "command": "rm -rf *" },
+ *       { "action": "allow", "tool": "Bash", "command": "npm test*" },
+ *       { "action": "allow", "tool": "Edit", "path": "src/**", "cwd": "/workspace/myapp" },
+ *       { "action": "allow", "tool": "WebFetch", "url": "https://docs.python.org/*" }
+ *     ]
+ *   }
+ *
+ * The first rule whose fields all match decides. Paths match relative to
+ * the session's cwd or as absolute paths. The file is re-read when it
+ * changes on disk, so it can be edited by hand.
+ */
+class PolicyEngine {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Path of the JSON rules file
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.enabled = false;
+    this.rules = [];
+    this.decisions = []; // newest last
+    this.loadedMtime = 0;
+    this._load();
+  }
+
+  /**
+   * Decide how to answer a permission prompt
+   * @param {object} prompt - { tool, command, description, path, url, cwd, ambiguous }
+   *   as parsed from the dialog
+   * @returns {object|null} { action, rule, ruleIndex }, or null if no rule matched
+   *   or the engine is switched off
+   */
+  evaluate(prompt) {
+    this._reloadIfChanged();
+    if (!this.enabled) return null;
+
+    for (let i = 0; i < this.rules.length; i++) {
+      const rule = this.rules[i];
+      if (this._matches(rule, prompt)) {
+        return { action: rule.action, rule, ruleIndex: i };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remember a decision for the UI
+   * @param {object} decision - { sessionId, tool, command, path, action, ruleIndex }
+   */
+  recordDecision(decision) {
+    this.decisions.push({ time: Date.now(), ...decision });
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.shift();
+    }
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {object[]} Recent decisions, newest first
+   */
+  getDecisions(limit = MAX_DECISIONS) {
+    return this.decisions.slice(-limit).reverse();
+  }
+
+  /**
+   * @returns {object} { enabled, rules }
+   */
+  getPolicy() {
+    this._reloadIfChanged();
+    return { enabled: this.enabled, rules: this.rules };
+  }
+
+  /**
+   * Replace the rules and/or the enabled flag
+   * @param {object} policy - { enabled, rules }
+   * @throws {Error} If a rule is invalid
+   */
+  update({ enabled, rules }) {
+    if (rules !== undefined) {
+      this.rules = this._validateRules(rules);
+    }
+    if (enabled !== undefined) {
+      this.enabled = enabled === true;
+    }
+    this._save();
+  }
+
+  /**
+   * @private
+   */
+  _matches(rule, prompt) {
+    if (rule.tool && !globToRegExp(rule.tool, false).test(prompt.tool || '')) return false;
+    if (rule.action === 'allow' && !this._canAllow(rule, prompt)) return false;
+
+    if (rule.command) {
+      if (!prompt.command) return false;
+      if (!globToRegExp(rule.command, false).test(prompt.command.trim())) return false;
+    }
+
+    if (rule.path) {
+      if (!prompt.path) return false;
+      const pattern = globToRegExp(rule.path, true);
+      const absolute = path.resolve(prompt.cwd || '/', prompt.path);
+      const relative = prompt.cwd ? path.relative(prompt.cwd, absolute) : prompt.path;
+      // Relative forms that climb out of the cwd never match relative globs
+      const candidates = [absolute];
+      if (!relative.startsWith('..')) candidates.push(relative);
+      if (!candidates.some((candidate) => pattern.test(candidate))) return false;
+    }
+
+    if (rule.url && !globToRegExp(rule.url, false).test(prompt.url || '')) return false;
+
+    if (rule.cwd && !globToRegExp(rule.cwd, true).test(prompt.cwd || '')) return false;
+
+    return true;
+  }
+
+  /**
+   * Fail closed: a Bash prompt is only approved when the dialog shows a
+   * single command line, and no prompt is approved by a command rule when
+   * anything in the dialog body (the description too, as the parser may
+   * have mistaken part of the command for it) could chain another command.
+   * @private
+   */
+  _canAllow(rule, prompt) {
+    if (prompt.tool === 'Bash' && (prompt.ambiguous || !prompt.command || prompt.command.includes('\n'))) {
+      return false;
+    }
+    if (rule.command) {
+      const body = [prompt.command, prompt.description].filter(Boolean).join(' ');
+      if (SHELL_CHAINING.test(body) && !SHELL_CHAINING.test(rule.command)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('rules must be an array');
+    }
+    if (rules.length > MAX_RULES) {
+      throw new Error(`At most ${MAX_RULES} rules are allowed`);
+    }
+    return rules.map((rule, index) => {
+      if (!rule || typeof rule !== 'object' || !ACTIONS.includes(rule.action)) {
+        throw new Error(`Rule ${index + 1}: action must be one of ${ACTIONS.join(', ')}`);
+      }
+      const clean = { action: rule.action };
+      for (const field of MATCH_FIELDS) {
+        if (rule[field] === undefined || rule[field] === null || rule[field] === '') continue;
+        if (typeof rule[field] !== 'string' || rule[field].length > MAX_PATTERN_LENGTH) {
+          throw new Error(`Rule ${index + 1}: ${field} must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        clean[field] = rule[field];
+      }
+      if (!MATCH_FIELDS.some((field) => clean[field])) {
+        throw new Error(`Rule ${index + 1}: at least one of ${MATCH_FIELDS.join(', ')} is required`);
+      }
+      if (typeof rule.comment === 'string') {
+        clean.comment = rule.comment.slice(0, 200);
+      }
+      return clean;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _reloadIfChanged() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      return;
+    }
+    if (mtime !== this.loadedMtime) {
+      this._load();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      const data = readJsonFile(this.file, { enabled: false, rules: [] });
+      this.rules = this._validateRules(data.rules || []);
+      this.enabled = data.enabled === true;
+      this.loadedMtime = fs.existsSync(this.file) ? fs.statSync(this.file).mtimeMs : 0;
+      if (this.rules.length > 0) {
+        console.log(`[Policy] Loaded ${this.rules.length} rule(s), auto-approval ${this.enabled ? 'on' : 'off'}`);
+      }
+    } catch (error) {
+      // Keep the previous rules rather than running with a half-edited file
+      console.error(`[Policy] Failed to load ${this.file}: ${error.message}`);
+      this.loadedMtime = fs.existsSync(this.file) ? fs.statSync(this.file).mtimeMs : 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    try {
+      writeJsonFile(this.file, { enabled: this.enabled, rules: this.rules });
+      this.loadedMtime = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      console.error(`[Policy] Failed to save ${this.file}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  PolicyEngine,
+  globToRegExp,
+  ACTIONS,
+};
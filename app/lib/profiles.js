@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const MAX_PROFILES = 50;
+const MAX_NAME_LENGTH = 60;
+const MAX_ENV_VARS = 20;
+const MAX_ENV_VALUE_LENGTH = 4096;
+const MAX_PROMPT_LENGTH = 4000;
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+// Variables the server sets itself, or that change how processes load
+const BLOCKED_ENV = /^(PATH|HOME|TERM|SHELL|USER|NODE_OPTIONS|NODE_PATH|LD_\w+|DYLD_\w+)$/i;
+// Values of these are never sent back to clients
+const SECRET_ENV = /KEY|TOKEN|SECRET|PASSWORD|CREDENTIAL|AUTH/i;
+// Shown instead of a secret; saving it back keeps the stored value
+const MASKED_VALUE = '********';
+
+/**
+ * Named launch settings for Claude sessions: folder, CLI args, model,
+ * extra environment (e.g. another API key) and a prompt to type once
+ * Claude is ready. Stored in a JSON file; secret env values are masked in
+ * everything but get().
+ */
+class ProfileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.file - JSON file
+   * @param {function} options.validateArgs - (args) => allowed args, as for session starts
+   * @param {function} options.resolveCwd - (cwd) => absolute folder; throws if it
+   *   is outside the workspace or missing
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.validateArgs = options.validateArgs || ((args) => args);
+    this.resolveCwd = options.resolveCwd || ((cwd) => cwd);
+    // id -> { id, name, cwd, args, model, env, initialPrompt, created, createdBy, updated }
+    this.profiles = new Map();
+    this._load();
+  }
+
+  /**
+   * @returns {object[]} Profile infos (secrets masked), by name
+   */
+  list() {
+    return Array.from(this.profiles.values())
+      .map((profile) => this._toInfo(profile))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} The full profile, secrets included (for launching)
+   */
+  get(id) {
+    const profile = this.profiles.get(id);
+    return profile ? { ...profile, args: [...profile.args], env: { ...profile.env } } : null;
+  }
+
+  /**
+   * @param {object} fields - { name, cwd, args, model, env, initialPrompt }
+   * @param {string} createdBy - Username of the creator
+   * @returns {object} Profile info
+   * @throws {Error} If a field is invalid
+   */
+  create(fields, createdBy = null) {
+    if (this.profiles.size >= MAX_PROFILES) {
+      throw new Error(`At most ${MAX_PROFILES} profiles can be saved`);
+    }
+    const profile = {
+      id: crypto.randomBytes(4).toString('hex'),
+      ...this._validate(fields, null),
+      created: Date.now(),
+      createdBy,
+      updated: null,
+    };
+    this.profiles.set(profile.id, profile);
+    this._save();
+    return this._toInfo(profile);
+  }
+
+  /**
+   * Change the given fields of a profile
+   * @param {string} id
+   * @param {object} fields - As for create(); env values equal to MASKED_VALUE
+   *   keep the stored secret
+   * @returns {object} Profile info
+   * @throws {Error} 'Profile not found', or if a field is invalid
+   */
+  update(id, fields) {
+    const profile = this.profiles.get(id);
+    if (!profile) throw new Error('Profile not found');
+    Object.assign(profile, this._validate(fields, profile), { updated: Date.now() });
+    this._save();
+    return this._toInfo(profile);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether a profile was removed
+   */
+  remove(id) {
+    if (!this.profiles.delete(id)) return false;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Check and normalize profile fields; fields left undefined keep the
+   * existing profile's value
+   * @private
+   */
+  _validate(fields, existing) {
+    const pick = (name, fallback) => (fields[name] !== undefined ? fields[name] : existing ? existing[name] : fallback);
+
+    const name = String(pick('name', '') || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+
+    const cwd = String(pick('cwd', '') || '').trim();
+    const resolved = this.resolveCwd(cwd);
+
+    const args = pick('args', []);
+    if (!Array.isArray(args)) {
+      throw new Error('args must be an array');
+    }
+    const given = args.map((arg) => String(arg).trim()).filter(Boolean);
+    // Refuse rather than silently drop what a start would drop
+    const allowed = this.validateArgs(given);
+    const remaining = [...allowed];
+    const rejected = given.filter((arg) => {
+      const index = remaining.indexOf(arg);
+      if (index === -1) return true;
+      remaining.splice(index, 1);
+      return false;
+    });
+    if (rejected.length > 0) {
+      throw new Error(`Arguments not allowed: ${rejected.join(' ')}`);
+    }
+
+    const model = String(pick('model', '') || '').trim();
+    if (model && this.validateArgs(['--model', model]).length !== 2) {
+      throw new Error(`Invalid model name: ${model}`);
+    }
+
+    const initialPrompt = String(pick('initialPrompt', '') || '');
+    if (initialPrompt.length > MAX_PROMPT_LENGTH) {
+      throw new Error(`initialPrompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+
+    return {
+      name,
+      cwd: resolved,
+      args: allowed,
+      model,
+      env: fields.env !== undefined ? this._validateEnv(fields.env, existing?.env || {}) : existing?.env || {},
+      initialPrompt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _validateEnv(env, previous) {
+    if (!env || typeof env !== 'object' || Array.isArray(env)) {
+      throw new Error('env must be an object of NAME: value');
+    }
+    const entries = Object.entries(env);
+    if (entries.length > MAX_ENV_VARS) {
+      throw new Error(`env may have at most ${MAX_ENV_VARS} variables`);
+    }
+
+    const validated = {};
+    for (const [name, value] of entries) {
+      if (!ENV_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid environment variable name: ${name}`);
+      }
+      if (BLOCKED_ENV.test(name)) {
+        throw new Error(`${name} can't be set in a profile`);
+      }
+      if (typeof value !== 'string' || value.length > MAX_ENV_VALUE_LENGTH || /[\0\r\n]/.test(value)) {
+        throw new Error(`${name} must be a single-line string of at most ${MAX_ENV_VALUE_LENGTH} characters`);
+      }
+      if (value === MASKED_VALUE) {
+        if (previous[name] === undefined) {
+          throw new Error(`${name} has no saved value to keep`);
+        }
+        validated[name] = previous[name];
+      } else {
+        validated[name] = value;
+      }
+    }
+    return validated;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      const data = readJsonFile(this.file, { profiles: [] });
+      for (const profile of data.profiles || []) {
+        this.profiles.set(profile.id, profile);
+      }
+    } catch (error) {
+      console.error(`[Profiles] Failed to load ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    try {
+      writeJsonFile(this.file, { profiles: Array.from(this.profiles.values()) });
+    } catch (error) {
+      console.error(`[Profiles] Failed to save ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toInfo(profile) {
+    const env = {};
+    for (const [name, value] of Object.entries(profile.env)) {
+      env[name] = SECRET_ENV.test(name) ? MASKED_VALUE : value;
+    }
+    return { ...profile, args: [...profile.args], env };
+  }
+}
+
+module.exports = {
+  ProfileStore,
+  MASKED_VALUE,
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const GIT_TIMEOUT_MS = 3000;
+const GIT_CONCURRENCY = 4; // git status is disk-heavy; don't start dozens at once
+const MAX_ENTRIES = 500;
+
+/**
+ * @param {string} message
+ * @param {number} status - HTTP status for the API
+ * @returns {Error}
+ * @private
+ */
+function pathError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {string} root - Absolute directory
+ * @param {string} target - Absolute path
+ * @returns {boolean} Whether target is root or below it
+ * @private
+ */
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * Parse the header of `git status --porcelain=v1 --branch`, e.g.
+ * "## main...origin/main [ahead 1, behind 2]"
+ * @param {string} output
+ * @returns {object} { branch, dirty, ahead, behind }
+ */
+function parseGitStatus(output) {
+  const lines = output.split('\n').filter(Boolean);
+  const header = lines[0]?.startsWith('## ') ? lines.shift().slice(3) : '';
+
+  let branch = null;
+  const unborn = /^(?:No commits yet|Initial commit) on (.+)$/.exec(header);
+  if (unborn) {
+    branch = unborn[1];
+  } else if (header && !header.startsWith('HEAD (no branch)')) {
+    branch = header.split('...')[0].split(' ')[0];
+  }
+
+  return {
+    branch, // null when detached
+    dirty: lines.length > 0,
+    ahead: Number(/ahead (\d+)/.exec(header)?.[1] || 0),
+    behind: Number(/behind (\d+)/.exec(header)?.[1] || 0),
+  };
+}
+
+/**
+ * Browses the project directories under the workspace root. Every path
+ * goes in and comes out relative to the root, and symlinks are resolved
+ * before the confinement check so a link can't lead outside it.
+ */
+class ProjectBrowser {
+  /**
+   * @param {object} options
+   * @param {string} options.root - Workspace directory (default /workspace)
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || '/workspace');
+    try {
+      fs.mkdirSync(this.root, { recursive: true });
+    } catch (error) {
+      console.error(`[Projects] Could not create ${this.root}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a path inside the workspace
+   * @param {string} relative - Relative to the root ('' for the root itself),
+   *   or absolute within it
+   * @param {object} options
+   * @param {boolean} options.create - Create the directory (and parents) if missing
+   * @returns {string} Absolute, symlink-free path of an existing directory
+   * @throws {Error} If the path leaves the workspace (error.status 403), is
+   *   missing and not created, or is not a directory (404)
+   */
+  resolve(relative = '', { create = false } = {}) {
+    const realRoot = fs.realpathSync(this.root);
+    // Absolute paths are accepted as long as they point into the root
+    const target = path.resolve(this.root, String(relative));
+    if (!isInside(this.root, target)) {
+      throw pathError(`Folder must be inside ${this.root}`, 403);
+    }
+
+    // Check the deepest existing part, so a symlink can't be used to
+    // create directories outside the workspace either
+    let existing = target;
+    while (!fs.existsSync(existing)) {
+      existing = path.dirname(existing);
+    }
+    const real = path.join(fs.realpathSync(existing), path.relative(existing, target));
+    if (!isInside(realRoot, real)) {
+      throw pathError(`Folder must be inside ${this.root}`, 403);
+    }
+
+    if (existing !== target) {
+      if (!create) {
+        throw pathError(`Folder not found: ${this.toRelative(real)}`, 404);
+      }
+      fs.mkdirSync(real, { recursive: true });
+      console.log(`[Projects] Created directory: ${real}`);
+    } else if (!fs.statSync(real).isDirectory()) {
+      throw pathError(`Not a folder: ${this.toRelative(real)}`, 404);
+    }
+    return real;
+  }
+
+  /**
+   * @param {string} absolute - Path from resolve()
+   * @returns {string} The path relative to the root ('' for the root)
+   */
+  toRelative(absolute) {
+    return path.relative(fs.realpathSync(this.root), absolute);
+  }
+
+  /**
+   * List the folders in a workspace directory, with git details for repos
+   * @param {string} relative - Relative to the root ('' for the root)
+   * @returns {Promise<object>} { path, parent, git, entries: [{ name, path, git }] }
+   *   where git is null outside repos, { branch, dirty, ahead, behind } or { error }
+   * @throws {Error} As resolve()
+   */
+  async list(relative = '') {
+    const dir = this.resolve(relative);
+    const realRoot = fs.realpathSync(this.root);
+    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    const entries = [];
+    for (const dirent of dirents.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (dirent.name.startsWith('.')) continue;
+      if (entries.length >= MAX_ENTRIES) break;
+
+      const full = path.join(dir, dirent.name);
+      if (dirent.isSymbolicLink()) {
+        try {
+          const target = await fs.promises.realpath(full);
+          if (!isInside(realRoot, target) || !(await fs.promises.stat(target)).isDirectory()) continue;
+        } catch (error) {
+          continue; // Dangling link
+        }
+      } else if (!dirent.isDirectory()) {
+        continue;
+      }
+      entries.push({ name: dirent.name, path: this.toRelative(full), git: null, full });
+    }
+
+    const queue = entries.filter((entry) => fs.existsSync(path.join(entry.full, '.git')));
+    const workers = Array.from({ length: GIT_CONCURRENCY }, async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        entry.git = await this.gitStatus(entry.full);
+      }
+    });
+    const [git] = await Promise.all([
+      fs.existsSync(path.join(dir, '.git')) ? this.gitStatus(dir) : null,
+      ...workers,
+    ]);
+
+    const current = this.toRelative(dir);
+    return {
+      path: current,
+      parent: current ? path.dirname(current).replace(/^\.$/, '') : null,
+      git,
+      entries: entries.map(({ full, ...entry }) => entry),
+    };
+  }
+
+  /**
+   * @param {string} dir - Absolute path of a repository
+   * @returns {Promise<object>} { branch, dirty, ahead, behind }, or { error }
+   */
+  gitStatus(dir) {
+    return new Promise((resolve) => {
+      // fsmonitor is turned off because it runs a command from the repo's config
+      execFile('git', ['-c', 'core.fsmonitor=false', '-C', dir, 'status', '--porcelain=v1', '--branch'], {
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: 4 * 1024 * 1024,
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const message = error.killed ? 'git status timed out' : (stderr || error.message).trim().split('\n')[0];
+          resolve({ error: message });
+          return;
+        }
+        resolve(parseGitStatus(stdout));
+      });
+    });
+  }
+}
+
+module.exports = {
+  ProjectBrowser,
+  parseGitStatus,
+};
@@ -10,6 +10,7 @@ class PTYManager extends EventEmitter {
     this.pty = null;
     this.bufferSize = options.bufferSize || 100 * 1024; // 100KB circular buffer
     this.buffer = Buffer.alloc(0);
+    this.totalBytes = 0; // Bytes of output produced by the current run
     this.exitCode = null;
     this.running = false;
     this.cols = options.cols || 120;
@@ -40,6 +41,7 @@ class PTYManager extends EventEmitter {
       this.running = true;
       this.exitCode = null;
       this.buffer = Buffer.alloc(0);
+      this.totalBytes = 0;
 
       this.pty.onData((data) => {
         this._appendToBuffer(data);
@@ -103,6 +105,26 @@ class PTYManager extends EventEmitter {
     return this.buffer.toString('utf8');
   }
 
+  /**
+   * Get output produced after a byte offset, for polling clients
+   * @param {number} since - Offset returned by a previous call (0 for everything buffered)
+   * @returns {object} { data, offset, truncated } - offset is the value to pass next time;
+   *   truncated is true when part of the requested range has already left the buffer
+   */
+  getOutputSince(since = 0) {
+    const bufferStart = this.totalBytes - this.buffer.length;
+    // An offset past the end belongs to an earlier run - start over
+    let start = since > this.totalBytes ? 0 : since;
+    const truncated = start < bufferStart;
+    if (truncated) start = bufferStart;
+
+    return {
+      data: this.buffer.subarray(start - bufferStart).toString('utf8'),
+      offset: this.totalBytes,
+      truncated,
+    };
+  }
+
   /**
    * Get the current state of the PTY
    * @returns {object} State object
@@ -112,6 +134,7 @@ class PTYManager extends EventEmitter {
       running: this.running,
       exitCode: this.exitCode,
       bufferLength: this.buffer.length,
+      totalBytes: this.totalBytes,
       cols: this.cols,
       rows: this.rows,
     };
@@ -131,6 +154,7 @@ class PTYManager extends EventEmitter {
    */
   _appendToBuffer(data) {
     const newData = Buffer.from(data);
+    this.totalBytes += newData.length;
     const combined = Buffer.concat([this.buffer, newData]);
 
     if (combined.length > this.bufferSize) {
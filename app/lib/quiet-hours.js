@@ -0,0 +1,67 @@
+const { PRIORITIES } = require('./channels');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes after midnight
+ * @private
+ */
+function parseTime(time) {
+  const match = TIME_PATTERN.exec(time.trim());
+  if (!match) throw new Error(`Invalid time "${time}" (expected HH:MM)`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * A daily window (server local time, set TZ for the container) in which
+ * only notifications at or above a priority go out
+ */
+class QuietHours {
+  /**
+   * @param {object} options
+   * @param {string} options.range - "22:00-07:00" (may wrap past midnight)
+   * @param {string} options.minPriority - Lowest priority still delivered
+   *   during quiet hours
+   * @throws {Error} If the range or priority is invalid
+   */
+  constructor(options = {}) {
+    const [start, end] = String(options.range || '').split('-');
+    if (start === undefined || end === undefined) {
+      throw new Error(`Invalid quiet hours "${options.range}" (expected HH:MM-HH:MM)`);
+    }
+    this.start = parseTime(start);
+    this.end = parseTime(end);
+    this.range = options.range;
+    this.minPriority = options.minPriority || 'max';
+    if (!PRIORITIES.includes(this.minPriority)) {
+      throw new Error(`Invalid quiet hours priority "${this.minPriority}" (expected one of ${PRIORITIES.join(', ')})`);
+    }
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {boolean} Whether the time falls in quiet hours
+   */
+  isQuiet(date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (this.start <= this.end) {
+      return minutes >= this.start && minutes < this.end;
+    }
+    return minutes >= this.start || minutes < this.end;
+  }
+
+  /**
+   * @param {string} priority - One of PRIORITIES
+   * @param {Date} date
+   * @returns {boolean} Whether a notification of this priority may go out now
+   */
+  allows(priority, date = new Date()) {
+    if (!this.isQuiet(date)) return true;
+    return PRIORITIES.indexOf(priority) >= PRIORITIES.indexOf(this.minPriority);
+  }
+}
+
+module.exports = {
+  QuietHours,
+};
@@ -0,0 +1,97 @@
+/**
+ * Parse a reminder schedule such as "5,15,60"
+ * @param {string} text - Comma-separated minutes after the prompt appeared
+ * @returns {number[]} Ascending minutes (empty: no reminders)
+ * @throws {Error} If an entry is not a positive number
+ */
+function parseSchedule(text) {
+  if (!text || !text.trim() || text.trim() === '0') return [];
+  const minutes = text.split(',').map((part) => Number(part.trim()));
+  if (minutes.some((value) => !Number.isFinite(value) || value <= 0)) {
+    throw new Error(`Invalid reminder schedule "${text}" (expected minutes like 5,15,60)`);
+  }
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+/**
+ * Re-sends notifications for prompts nobody has answered. Times count
+ * from when the prompt appeared; one prompt per session is tracked, and a
+ * new prompt or an answer cancels its reminders.
+ */
+class ReminderScheduler {
+  /**
+   * @param {object} options
+   * @param {number[]} options.minutes - Schedule from parseSchedule()
+   * @param {function} options.onRemind - Called with (session, { promptId, trigger,
+   *   reminder, waitingMinutes }) where reminder counts from 1
+   */
+  constructor(options = {}) {
+    this.minutes = options.minutes || [];
+    this.onRemind = options.onRemind || (() => {});
+    this.pending = new Map(); // sessionId -> { session, promptId, trigger, shownAt, sent, timer }
+  }
+
+  /**
+   * Start reminding about a prompt (replaces any earlier one in the session)
+   * @param {ClaudeSession} session
+   * @param {object} trigger - Watcher trigger with its promptId
+   */
+  start(session, trigger) {
+    this.cancel(session.id);
+    if (this.minutes.length === 0 || !trigger.promptId) return;
+
+    const entry = {
+      session,
+      promptId: trigger.promptId,
+      trigger,
+      shownAt: Date.now(),
+      sent: 0,
+      timer: null,
+    };
+    this.pending.set(session.id, entry);
+    this._scheduleNext(entry);
+  }
+
+  /**
+   * Stop reminding about a session's prompt (answered, or the session ended)
+   * @param {string} sessionId
+   */
+  cancel(sessionId) {
+    const entry = this.pending.get(sessionId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pending.delete(sessionId);
+  }
+
+  /**
+   * @private
+   */
+  _scheduleNext(entry) {
+    const minutes = this.minutes[entry.sent];
+    if (minutes === undefined) {
+      this.pending.delete(entry.session.id);
+      return;
+    }
+
+    const delay = Math.max(entry.shownAt + minutes * 60 * 1000 - Date.now(), 0);
+    entry.timer = setTimeout(() => {
+      entry.sent++;
+      this.onRemind(entry.session, {
+        promptId: entry.promptId,
+        trigger: entry.trigger,
+        reminder: entry.sent,
+        waitingMinutes: Math.round((Date.now() - entry.shownAt) / 60000),
+      });
+      // onRemind may have cancelled (the prompt turned out to be gone)
+      if (this.pending.get(entry.session.id) === entry) {
+        this._scheduleNext(entry);
+      }
+    }, delay);
+    entry.timer.unref();
+  }
+}
+
+module.exports = {
+  ReminderScheduler,
+  parseSchedule,
+};
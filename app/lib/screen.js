@@ -0,0 +1,111 @@
+const { Terminal } = require('@xterm/headless');
+
+/**
+ * Server-side virtual terminal fed with a session's PTY output.
+ *
+ * Claude Code repaints menus in place with cursor movement and `\r`
+ * overwrites, so reading the raw stream line by line sees every frame it
+ * ever drew. This keeps the rendered result instead: what a terminal
+ * would actually show right now.
+ */
+class TerminalScreen {
+  /**
+   * @param {object} options
+   * @param {number} options.cols - Terminal width (match the PTY)
+   * @param {number} options.rows - Terminal height (match the PTY)
+   * @param {number} options.scrollback - Lines kept above the viewport
+   */
+  constructor(options = {}) {
+    this.terminal = new Terminal({
+      cols: options.cols || 120,
+      rows: options.rows || 40,
+      scrollback: options.scrollback || 500,
+      allowProposedApi: true,
+    });
+  }
+
+  /**
+   * Feed PTY output. Parsing is asynchronous; the callback runs once this
+   * chunk is reflected on screen.
+   * @param {string} data - Raw PTY output
+   * @param {function} callback
+   */
+  write(data, callback) {
+    this.terminal.write(data, callback);
+  }
+
+  /**
+   * @param {number} cols
+   * @param {number} rows
+   */
+  resize(cols, rows) {
+    this.terminal.resize(cols, rows);
+  }
+
+  /**
+   * Clear the screen and scrollback (for a new run of the session)
+   */
+  reset() {
+    this.terminal.reset();
+  }
+
+  /**
+   * Rendered lines, oldest first. Soft-wrapped rows are joined back into
+   * one line and trailing blank rows are dropped.
+   * @param {number} limit - Maximum number of lines, counted from the bottom
+   * @returns {string[]}
+   */
+  getLines(limit = Infinity) {
+    const buffer = this.terminal.buffer.active;
+    const lines = [];
+    for (let i = 0; i < buffer.length; i++) {
+      const line = buffer.getLine(i);
+      if (!line) continue;
+      const text = line.translateToString(true);
+      if (line.isWrapped && lines.length > 0) {
+        lines[lines.length - 1] += text;
+      } else {
+        lines.push(text);
+      }
+    }
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+    return lines.slice(-limit);
+  }
+
+  /**
+   * The current screen (viewport only, no scrollback) as plain text
+   * @returns {string}
+   */
+  getText() {
+    const buffer = this.terminal.buffer.active;
+    const rows = [];
+    for (let i = buffer.viewportY; i < buffer.viewportY + this.terminal.rows; i++) {
+      rows.push(buffer.getLine(i)?.translateToString(true) ?? '');
+    }
+    return rows.join('\n').replace(/\s+$/, '');
+  }
+
+  /**
+   * @returns {object} { cols, rows, cursorX, cursorY, alternate }
+   */
+  getInfo() {
+    const buffer = this.terminal.buffer.active;
+    return {
+      cols: this.terminal.cols,
+      rows: this.terminal.rows,
+      cursorX: buffer.cursorX,
+      cursorY: buffer.cursorY,
+      alternate: buffer.type === 'alternate',
+    };
+  }
+
+  dispose() {
+    this.terminal.dispose();
+  }
+}
+
+module.exports = {
+  TerminalScreen,
+};
@@ -0,0 +1,233 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const PTYManager = require('./pty-manager');
+const { Watcher } = require('./watcher');
+const { TerminalScreen } = require('./screen');
+
+// Session names are shown in the UI and logs, keep them short and printable
+const SESSION_NAME_PATTERN = /^[\w .-]{1,40}$/;
+const MIN_IDLE_SECONDS = 5;
+const MAX_IDLE_SECONDS = 3600;
+
+/**
+ * A named Claude Code session: one PTYManager + Watcher pair with its own cwd and args
+ */
+class ClaudeSession {
+  constructor(options = {}) {
+    this.id = options.id;
+    this.name = options.name || this.id;
+    this.cwd = options.cwd || '/workspace';
+    this.args = options.args || [];
+    this.created = Date.now();
+    this.lastStarted = null;
+    this.startedBy = null;
+    this.profileId = null; // Launch profile of the current run
+    this.controller = null; // { clientId, label } of the device holding input/sizing
+    // "Task finished" notifications after this many quiet seconds at the input box
+    this.idleNotify = { enabled: options.idleSeconds > 0, seconds: options.idleSeconds || 30 };
+
+    this.ptyManager = new PTYManager(options.ptyOptions);
+    // Rendered terminal, kept the same size as the PTY
+    this.screen = new TerminalScreen({ cols: this.ptyManager.cols, rows: this.ptyManager.rows });
+    this.watcher = new Watcher({
+      screen: this.screen,
+      idleSeconds: this.idleNotify.enabled ? this.idleNotify.seconds : 0,
+      onTrigger: (result) => options.onTrigger(this, result),
+      onIdle: (info) => options.onIdle(this, info),
+      onReset: () => options.onReset(this),
+    });
+
+    // Per-run state owned by server.js
+    this.themeSent = false;
+    this.stopRequested = false;
+    this.mockInputHandler = null;
+    this.transcript = null;
+  }
+
+  /**
+   * Check if this session's Claude process is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.ptyManager.isRunning();
+  }
+
+  /**
+   * Resize the PTY and the rendered screen together
+   * @param {number} cols
+   * @param {number} rows
+   */
+  resize(cols, rows) {
+    this.ptyManager.resize(cols, rows);
+    this.screen.resize(cols, rows);
+  }
+
+  /**
+   * Turn "Task finished" notifications on or off for this session
+   * @param {object} options - { enabled, seconds }
+   */
+  setIdleNotify({ enabled, seconds }) {
+    if (typeof enabled === 'boolean') this.idleNotify.enabled = enabled;
+    if (Number.isInteger(seconds) && seconds >= MIN_IDLE_SECONDS && seconds <= MAX_IDLE_SECONDS) {
+      this.idleNotify.seconds = seconds;
+    }
+    this.watcher.setIdleSeconds(this.idleNotify.enabled ? this.idleNotify.seconds : 0);
+  }
+
+  /**
+   * Get a summary of this session for listings
+   * @returns {object}
+   */
+  getInfo() {
+    const state = this.ptyManager.getState();
+    return {
+      id: this.id,
+      name: this.name,
+      cwd: this.cwd,
+      args: this.args,
+      created: this.created,
+      lastStarted: this.lastStarted,
+      startedBy: this.startedBy,
+      profileId: this.profileId,
+      running: state.running,
+      exitCode: state.exitCode,
+      idleNotify: { ...this.idleNotify },
+    };
+  }
+}
+
+/**
+ * Keeps track of concurrent Claude sessions and re-emits their PTY events
+ * as (session, payload) pairs so the server can subscribe once
+ */
+class SessionManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxSessions = options.maxSessions || 5;
+    this.ptyOptions = options.ptyOptions || {};
+    this.onTrigger = options.onTrigger || (() => {});
+    this.onIdle = options.onIdle || (() => {});
+    this.onReset = options.onReset || (() => {});
+    this.idleSeconds = options.idleSeconds || 0; // default for new sessions
+    this.sessions = new Map(); // id -> ClaudeSession
+  }
+
+  /**
+   * Create a new session. When the limit is reached the oldest stopped
+   * session is dropped to make room.
+   * @param {object} options
+   * @param {string} options.name - Display name (defaults to the cwd basename)
+   * @param {string} options.cwd - Working directory
+   * @param {string[]} options.args - Validated Claude CLI arguments
+   * @returns {ClaudeSession}
+   */
+  create({ name, cwd, args } = {}) {
+    this.checkLimit();
+    if (this.sessions.size >= this.maxSessions) this._evictStopped();
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const session = new ClaudeSession({
+      id,
+      name: this._normalizeName(name, cwd) || id,
+      cwd,
+      args,
+      ptyOptions: this.ptyOptions,
+      onTrigger: this.onTrigger,
+      onIdle: this.onIdle,
+      onReset: this.onReset,
+      idleSeconds: this.idleSeconds,
+    });
+
+    session.ptyManager.on('data', (data) => this.emit('data', session, data));
+    session.ptyManager.on('exit', (info) => this.emit('exit', session, info));
+    session.ptyManager.on('error', (error) => this.emit('error', session, error));
+
+    this.sessions.set(id, session);
+    this.emit('create', session);
+    return session;
+  }
+
+  /**
+   * Fail the way create() would, before anything is set up for a new session
+   * @throws {Error} If every slot is taken by a running session
+   */
+  checkLimit() {
+    const full = this.sessions.size >= this.maxSessions &&
+      !Array.from(this.sessions.values()).some((session) => !session.isRunning());
+    if (full) {
+      throw new Error(`Session limit reached (${this.maxSessions} running)`);
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ClaudeSession|undefined}
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * @returns {object[]} Session summaries, oldest first
+   */
+  list() {
+    return Array.from(this.sessions.values()).map((session) => session.getInfo());
+  }
+
+  /**
+   * Kill a session's process (if running) and forget it
+   * @param {string} id
+   * @returns {boolean} Whether a session was removed
+   */
+  remove(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    session.ptyManager.kill();
+    session.ptyManager.removeAllListeners();
+    session.watcher.dispose();
+    this.sessions.delete(id);
+    this.emit('remove', session);
+    return true;
+  }
+
+  /**
+   * Kill every running session (used on shutdown)
+   */
+  killAll() {
+    for (const session of this.sessions.values()) {
+      session.ptyManager.kill();
+    }
+  }
+
+  /**
+   * Drop the oldest session that is not running
+   * @private
+   * @returns {boolean} Whether a session was evicted
+   */
+  _evictStopped() {
+    for (const session of this.sessions.values()) {
+      if (!session.isRunning()) {
+        return this.remove(session.id);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _normalizeName(name, cwd) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed && SESSION_NAME_PATTERN.test(trimmed)) return trimmed;
+    return cwd ? path.basename(cwd) : '';
+  }
+}
+
+module.exports = {
+  SessionManager,
+  ClaudeSession,
+  MIN_IDLE_SECONDS,
+  MAX_IDLE_SECONDS,
+};
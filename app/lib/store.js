@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Changes are batched so busy maps (e.g. connection timestamps) don't
+// rewrite the backing file on every request
+const SAVE_DELAY = 1000;
+
+/**
+ * One JSON file per collection under the data dir
+ */
+class JsonBackend {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  load(name) {
+    const data = readJsonFile(this._file(name), { entries: [] });
+    return data.entries || [];
+  }
+
+  save(name, entries) {
+    writeJsonFile(this._file(name), { entries });
+  }
+
+  close() {}
+
+  /**
+   * @private
+   */
+  _file(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+}
+
+/**
+ * All collections in a single SQLite database (needs the optional
+ * better-sqlite3 package)
+ */
+class SqliteBackend {
+  constructor({ dir }) {
+    // Required lazily so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(dir, { recursive: true });
+    this.db = new Database(path.join(dir, 'onclaude.db'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS entries (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )`);
+    this.selectAll = this.db.prepare('SELECT key, value FROM entries WHERE collection = ?');
+    this.deleteAll = this.db.prepare('DELETE FROM entries WHERE collection = ?');
+    this.insert = this.db.prepare('INSERT INTO entries (collection, key, value) VALUES (?, ?, ?)');
+    this.replaceAll = this.db.transaction((name, entries) => {
+      this.deleteAll.run(name);
+      for (const [key, value] of entries) {
+        this.insert.run(name, key, JSON.stringify(value));
+      }
+    });
+  }
+
+  load(name) {
+    return this.selectAll.all(name).map((row) => [row.key, JSON.parse(row.value)]);
+  }
+
+  save(name, entries) {
+    this.replaceAll(name, entries);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * A Map that is loaded from and written back to the store. Entries for
+ * which isExpired(value) returns true are dropped on load.
+ */
+class PersistentMap extends Map {
+  constructor(store, name, { isExpired } = {}) {
+    super();
+    this.store = store;
+    this.name = name;
+    this.dirty = false;
+    this.saveTimer = null;
+
+    let entries = [];
+    try {
+      entries = store.backend.load(name);
+    } catch (error) {
+      console.error(`[Store] Failed to load ${name}: ${error.message}`);
+    }
+
+    let dropped = 0;
+    for (const [key, value] of entries) {
+      if (isExpired && isExpired(value)) {
+        dropped++;
+        continue;
+      }
+      super.set(key, value);
+    }
+    if (entries.length > 0) {
+      console.log(`[Store] Loaded ${this.size} ${name} entr${this.size === 1 ? 'y' : 'ies'}` +
+        (dropped ? ` (${dropped} expired)` : ''));
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this._scheduleSave();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this._scheduleSave();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this._scheduleSave();
+  }
+
+  /**
+   * Write pending changes now
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.dirty) return;
+    this.dirty = false;
+    try {
+      this.store.backend.save(this.name, Array.from(this.entries()));
+    } catch (error) {
+      console.error(`[Store] Failed to save ${this.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+}
+
+/**
+ * Small persistence layer for server state that should survive restarts
+ * (login sessions, bans, push subscriptions). Values must be JSON-serializable.
+ */
+class Store {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Data directory
+   * @param {string} options.backend - 'json' (default) or 'sqlite'
+   */
+  constructor({ dir, backend = 'json' } = {}) {
+    this.maps = [];
+    this.backend = null;
+
+    if (backend === 'sqlite') {
+      try {
+        this.backend = new SqliteBackend({ dir });
+        console.log('[Store] Using SQLite backend');
+      } catch (error) {
+        console.error(`[Store] SQLite unavailable (${error.message}), falling back to JSON files`);
+      }
+    }
+    if (!this.backend) {
+      this.backend = new JsonBackend({ dir });
+    }
+  }
+
+  /**
+   * Load (or create) a named collection
+   * @param {string} name - Collection name, also used as the file name
+   * @param {object} options - { isExpired(value) }
+   * @returns {PersistentMap}
+   */
+  map(name, options) {
+    const map = new PersistentMap(this, name, options);
+    this.maps.push(map);
+    return map;
+  }
+
+  /**
+   * Write all pending changes and release the backend (used on shutdown)
+   */
+  close() {
+    for (const map of this.maps) {
+      map.flush();
+    }
+    this.backend.close();
+  }
+}
+
+module.exports = {
+  Store,
+  PersistentMap,
+};
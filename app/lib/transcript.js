@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transcript file names are generated by us; anything else is rejected
+const TRANSCRIPT_NAME_PATTERN = /^[\w-]+\.log$/;
+
+/**
+ * Append-only transcript of one Claude run. Rolls over to a new part file
+ * once the current one reaches the store's per-file size cap.
+ */
+class TranscriptWriter {
+  constructor(store, { sessionId, name, cwd }) {
+    this.store = store;
+    this.sessionId = sessionId;
+    this.name = name;
+    this.cwd = cwd;
+    this.startedAt = new Date();
+    this.stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+    this.part = 0;
+    this.stream = null;
+    this.bytesWritten = 0;
+    this.closed = false;
+    this._openPart();
+  }
+
+  /**
+   * Append raw PTY output to the transcript
+   * @param {string} data
+   */
+  write(data) {
+    if (this.closed || !this.stream) return;
+
+    if (this.bytesWritten >= this.store.maxFileBytes) {
+      this.stream.end();
+      this.part++;
+      this._openPart();
+      this.store.enforceTotalCap();
+    }
+
+    const chunk = Buffer.from(data);
+    this.stream.write(chunk);
+    this.bytesWritten += chunk.length;
+  }
+
+  /**
+   * Finish the transcript (process exited or session closed)
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    this.store.active.delete(this);
+  }
+
+  /**
+   * Name of the file currently being written
+   * @returns {string}
+   */
+  getFileName() {
+    const suffix = this.part > 0 ? `_part${this.part + 1}` : '';
+    return `${this.stamp}_${this.sessionId}${suffix}.log`;
+  }
+
+  /**
+   * @private
+   */
+  _openPart() {
+    const file = path.join(this.store.dir, this.getFileName());
+    this.bytesWritten = 0;
+    this.stream = fs.createWriteStream(file, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (error) => {
+      console.error(`[Transcript] Write failed for ${file}: ${error.message}`);
+      this.close();
+    });
+
+    const header = `# OnClaude transcript - session "${this.name}" (${this.sessionId}) in ${this.cwd}, ` +
+      `started ${this.startedAt.toISOString()}${this.part > 0 ? `, part ${this.part + 1}` : ''}\r\n`;
+    this.stream.write(header);
+    this.bytesWritten += Buffer.byteLength(header);
+  }
+}
+
+/**
+ * Owns the transcript directory: opens per-run writers, lists files and
+ * keeps the directory under its total size cap by deleting the oldest files
+ */
+class TranscriptStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxFileBytes = options.maxFileBytes || 5 * 1024 * 1024; // 5MB per file
+    this.maxTotalBytes = options.maxTotalBytes || 100 * 1024 * 1024; // 100MB total
+    this.active = new Set(); // Open TranscriptWriters
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Start a transcript for a new run
+   * @param {object} session - { id, name, cwd }
+   * @returns {TranscriptWriter}
+   */
+  open(session) {
+    const writer = new TranscriptWriter(this, {
+      sessionId: session.id,
+      name: session.name,
+      cwd: session.cwd,
+    });
+    this.active.add(writer);
+    this.enforceTotalCap();
+    return writer;
+  }
+
+  /**
+   * List transcript files, newest first
+   * @returns {object[]}
+   */
+  list() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      console.error(`[Transcript] Failed to read ${this.dir}: ${error.message}`);
+      return [];
+    }
+
+    const activeNames = new Set(Array.from(this.active, (writer) => writer.getFileName()));
+    const transcripts = [];
+    for (const name of names) {
+      if (!TRANSCRIPT_NAME_PATTERN.test(name)) continue;
+      try {
+        const stat = fs.statSync(path.join(this.dir, name));
+        const [, sessionId] = name.replace(/\.log$/, '').split('_');
+        transcripts.push({
+          name,
+          sessionId: sessionId || null,
+          size: stat.size,
+          modified: stat.mtimeMs,
+          active: activeNames.has(name),
+        });
+      } catch (error) {
+        // File removed between readdir and stat
+      }
+    }
+    return transcripts.sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * Resolve a transcript name to its path
+   * @param {string} name - File name as returned by list()
+   * @returns {string|null} Absolute path, or null if invalid or missing
+   */
+  resolve(name) {
+    if (typeof name !== 'string' || !TRANSCRIPT_NAME_PATTERN.test(name)) return null;
+    const file = path.join(this.dir, name);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Delete the oldest finished transcripts until the directory fits the total cap
+   */
+  enforceTotalCap() {
+    const transcripts = this.list();
+    let total = transcripts.reduce((sum, t) => sum + t.size, 0);
+
+    for (const transcript of transcripts.reverse()) {
+      if (total <= this.maxTotalBytes) break;
+      if (transcript.active) continue;
+      try {
+        fs.unlinkSync(path.join(this.dir, transcript.name));
+        total -= transcript.size;
+        console.log(`[Transcript] Rotated out ${transcript.name}`);
+      } catch (error) {
+        console.error(`[Transcript] Failed to delete ${transcript.name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  TranscriptStore,
+  TranscriptWriter,
+};
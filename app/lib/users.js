@@ -0,0 +1,480 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const totp = require('./totp');
+
+/**
+ * Roles and the token scopes they map to (see api-tokens.js)
+ * - owner: everything, including user and token management
+ * - operator: answer prompts and type, but not start or stop Claude
+ * - viewer: watch only
+ */
+const ROLE_SCOPES = {
+  owner: ['admin'],
+  operator: ['answer'],
+  viewer: ['read'],
+};
+
+const USERNAME_PATTERN = /^[\w.@-]{1,40}$/;
+const BCRYPT_ROUNDS = 12;
+const RECOVERY_CODE_COUNT = 10;
+
+// Compared against when the username is unknown, so failed logins take
+// the same time whether or not the user exists
+const DUMMY_HASH = bcrypt.hashSync('onclaude-dummy-password', 4);
+
+/**
+ * User accounts with bcrypt password hashes and roles, stored in a JSON file
+ */
+class UserStore {
+  constructor(options = {}) {
+    this.file = options.file;
+    // username -> { username, passHash, role, created, totp, totpPending, recoveryCodes,
+    //              webauthnId, passkeys }
+    this.users = new Map();
+    this._load(options.seed);
+  }
+
+  /**
+   * Check a username/password pair
+   * @returns {Promise<object|null>} Public user info on success
+   */
+  async verifyPassword(username, password) {
+    const user = typeof username === 'string' ? this.users.get(username) : null;
+    const hash = user?.passHash || DUMMY_HASH;
+    const match = await bcrypt.compare(String(password || ''), hash);
+    return user && match ? this._toInfo(user) : null;
+  }
+
+  /**
+   * @param {string} username
+   * @returns {object|null} Public user info
+   */
+  get(username) {
+    const user = this.users.get(username);
+    return user ? this._toInfo(user) : null;
+  }
+
+  /**
+   * @returns {object[]} Public user infos
+   */
+  list() {
+    return Array.from(this.users.values(), (user) => this._toInfo(user));
+  }
+
+  /**
+   * @returns {boolean} True if no accounts are configured
+   */
+  isEmpty() {
+    return this.users.size === 0;
+  }
+
+  /**
+   * Create a user
+   * @param {object} options - { username, password, role }
+   * @returns {Promise<object>} Public user info
+   * @throws {Error} If a field is invalid, or with error.status 500 if the
+   *   users file could not be written (nothing is changed then)
+   */
+  async create({ username, password, role }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Invalid username');
+    }
+    if (this.users.has(username)) {
+      throw new Error('User already exists');
+    }
+    this._validateRole(role);
+    this._validatePassword(password);
+
+    const user = {
+      username,
+      passHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role,
+      created: Date.now(),
+    };
+    this.users.set(username, user);
+    try {
+      this._save();
+    } catch (error) {
+      this.users.delete(username);
+      throw error;
+    }
+    return this._toInfo(user);
+  }
+
+  /**
+   * Change a user's role and/or password, or reset their two-factor login
+   * @param {string} username
+   * @param {object} changes - { role, password, disableTotp }
+   * @returns {Promise<object>} Public user info
+   * @throws {Error} As create()
+   */
+  async update(username, { role, password, disableTotp } = {}) {
+    const user = this.users.get(username);
+    if (!user) throw new Error('User not found');
+
+    if (role !== undefined) {
+      this._validateRole(role);
+      if (user.role === 'owner' && role !== 'owner' && this._ownerCount() === 1) {
+        throw new Error('Cannot demote the last owner');
+      }
+    }
+    if (password !== undefined) this._validatePassword(password);
+    const passHash = password !== undefined ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+
+    // Changed on a copy, so a failed save leaves the user as it was
+    const updated = { ...user };
+    if (passHash) updated.passHash = passHash;
+    if (role !== undefined) updated.role = role;
+    if (disableTotp === true) {
+      delete updated.totp;
+      delete updated.totpPending;
+      delete updated.recoveryCodes;
+    }
+
+    this.users.set(username, updated);
+    try {
+      this._save();
+    } catch (error) {
+      this.users.set(username, user);
+      throw error;
+    }
+    return this._toInfo(updated);
+  }
+
+  /**
+   * @param {string} username
+   * @returns {boolean} Whether a user was removed
+   * @throws {Error} For the last owner, or as create()
+   */
+  remove(username) {
+    const user = this.users.get(username);
+    if (!user) return false;
+    if (user.role === 'owner' && this._ownerCount() === 1) {
+      throw new Error('Cannot remove the last owner');
+    }
+    this.users.delete(username);
+    try {
+      this._save();
+    } catch (error) {
+      this.users.set(username, user);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Start TOTP enrolment: generate a secret that becomes active once
+   * confirmed with enableTotp()
+   * @param {string} username
+   * @returns {object} { secret, otpauthUrl }
+   */
+  beginTotpSetup(username) {
+    const user = this.users.get(username);
+    if (!user) throw new Error('User not found');
+    if (user.totp) throw new Error('Two-factor authentication is already enabled');
+
+    user.totpPending = totp.generateSecret();
+    this._save();
+    return {
+      secret: user.totpPending,
+      otpauthUrl: totp.buildOtpauthUrl({ secret: user.totpPending, account: username }),
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @param {string} username
+   * @param {string} code
+   * @returns {string[]} Recovery codes (only returned here, stored hashed)
+   */
+  enableTotp(username, code) {
+    const user = this.users.get(username);
+    if (!user) throw new Error('User not found');
+    if (!user.totpPending) throw new Error('Start two-factor setup first');
+
+    const step = totp.verifyCode(user.totpPending, code);
+    if (step === null) throw new Error('Invalid code');
+
+    user.totp = { secret: user.totpPending, lastStep: step, enabled: Date.now() };
+    delete user.totpPending;
+    const codes = this._generateRecoveryCodes(user);
+    this._save();
+    return codes;
+  }
+
+  /**
+   * Turn off TOTP and drop the recovery codes
+   * @param {string} username
+   * @returns {Promise<object>} Public user info
+   */
+  disableTotp(username) {
+    return this.update(username, { disableTotp: true });
+  }
+
+  /**
+   * Check a second-factor code: a TOTP code (each one is accepted once)
+   * or an unused recovery code, which is then consumed
+   * @param {string} username
+   * @param {string} code
+   * @returns {string|null} 'totp' or 'recovery' on success
+   */
+  verifySecondFactor(username, code) {
+    const user = this.users.get(username);
+    if (!user?.totp) return null;
+
+    const step = totp.verifyCode(user.totp.secret, code);
+    if (step !== null && step > (user.totp.lastStep ?? -1)) {
+      user.totp.lastStep = step;
+      this._save();
+      return 'totp';
+    }
+
+    const hash = this._hashRecoveryCode(code);
+    const index = (user.recoveryCodes || []).indexOf(hash);
+    if (index !== -1) {
+      user.recoveryCodes.splice(index, 1);
+      this._save();
+      return 'recovery';
+    }
+    return null;
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} username
+   * @returns {string[]} The new codes
+   */
+  regenerateRecoveryCodes(username) {
+    const user = this.users.get(username);
+    if (!user?.totp) throw new Error('Two-factor authentication is not enabled');
+    const codes = this._generateRecoveryCodes(user);
+    this._save();
+    return codes;
+  }
+
+  /**
+   * Stable, random WebAuthn user handle for an account (created on first use)
+   * @param {string} username
+   * @returns {string} base64url user id
+   */
+  getWebauthnId(username) {
+    const user = this.users.get(username);
+    if (!user) throw new Error('User not found');
+    if (!user.webauthnId) {
+      user.webauthnId = crypto.randomBytes(16).toString('base64url');
+      this._save();
+    }
+    return user.webauthnId;
+  }
+
+  /**
+   * @param {string} username
+   * @returns {object[]} Passkey infos (without public keys)
+   */
+  listPasskeys(username) {
+    const user = this.users.get(username);
+    return (user?.passkeys || []).map((passkey) => this._toPasskeyInfo(passkey));
+  }
+
+  /**
+   * Store a verified passkey
+   * @param {string} username
+   * @param {object} passkey - { id, publicKey, counter, transports, name } (base64url id/key)
+   * @returns {object} Passkey info
+   */
+  addPasskey(username, { id, publicKey, counter, transports, name }) {
+    const user = this.users.get(username);
+    if (!user) throw new Error('User not found');
+    if (this.findPasskey(id)) throw new Error('Passkey already registered');
+
+    const passkey = {
+      id,
+      publicKey,
+      counter,
+      transports: transports || [],
+      name: String(name || '').trim().slice(0, 40) || 'Passkey',
+      created: Date.now(),
+      lastUsed: null,
+    };
+    user.passkeys = [...(user.passkeys || []), passkey];
+    this._save();
+    return this._toPasskeyInfo(passkey);
+  }
+
+  /**
+   * Look up a passkey by credential id across all users
+   * @param {string} id - base64url credential id
+   * @returns {object|null} { username, passkey }
+   */
+  findPasskey(id) {
+    for (const user of this.users.values()) {
+      const passkey = (user.passkeys || []).find((candidate) => candidate.id === id);
+      if (passkey) return { username: user.username, passkey };
+    }
+    return null;
+  }
+
+  /**
+   * Save the signature counter after a successful passkey login
+   * @param {string} username
+   * @param {string} id
+   * @param {number} counter
+   */
+  recordPasskeyUse(username, id, counter) {
+    const passkey = this.users.get(username)?.passkeys?.find((candidate) => candidate.id === id);
+    if (!passkey) return;
+    passkey.counter = counter;
+    passkey.lastUsed = Date.now();
+    this._save();
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} id
+   * @returns {boolean} Whether a passkey was removed
+   */
+  removePasskey(username, id) {
+    const user = this.users.get(username);
+    const count = user?.passkeys?.length || 0;
+    if (!count) return false;
+    user.passkeys = user.passkeys.filter((passkey) => passkey.id !== id);
+    if (user.passkeys.length === count) return false;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Load the users file. On first run (no file yet) the seed account from
+   * AUTH_USER / AUTH_PASS_HASH becomes the first owner.
+   * @private
+   */
+  _load(seed) {
+    let data;
+    try {
+      data = readJsonFile(this.file);
+    } catch (error) {
+      console.error(`[Users] Failed to load ${this.file}: ${error.message}`);
+      return;
+    }
+
+    if (data) {
+      for (const user of data.users || []) {
+        if (!user.username || !user.passHash || !ROLE_SCOPES[user.role]) {
+          console.warn(`[Users] Skipping invalid user entry: ${user.username || '(no name)'}`);
+          continue;
+        }
+        this.users.set(user.username, user);
+      }
+      console.log(`[Users] Loaded ${this.users.size} user(s)`);
+      return;
+    }
+
+    if (seed?.username && seed?.passHash) {
+      this.users.set(seed.username, {
+        username: seed.username,
+        passHash: seed.passHash,
+        role: 'owner',
+        created: Date.now(),
+      });
+      try {
+        this._save();
+      } catch (error) {
+        // Logged by _save(); the seed owner still works until a restart
+        return;
+      }
+      console.log(`[Users] Created ${this.file} with owner "${seed.username}" from AUTH_USER/AUTH_PASS_HASH`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    try {
+      writeJsonFile(this.file, { users: Array.from(this.users.values()) });
+    } catch (error) {
+      console.error(`[Users] Failed to save ${this.file}: ${error.message}`);
+      const saveError = new Error('Could not save the users file');
+      saveError.status = 500;
+      throw saveError;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _generateRecoveryCodes(user) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const hex = crypto.randomBytes(5).toString('hex');
+      codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    user.recoveryCodes = codes.map((code) => this._hashRecoveryCode(code));
+    return codes;
+  }
+
+  /**
+   * Recovery codes are high-entropy, so a plain SHA-256 is enough
+   * @private
+   */
+  _hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _toPasskeyInfo({ publicKey, counter, ...info }) {
+    return info;
+  }
+
+  /**
+   * @private
+   */
+  _ownerCount() {
+    let count = 0;
+    for (const user of this.users.values()) {
+      if (user.role === 'owner') count++;
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _validateRole(role) {
+    if (!ROLE_SCOPES[role]) {
+      throw new Error(`Role must be one of: ${Object.keys(ROLE_SCOPES).join(', ')}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toInfo(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      created: user.created || null,
+      totpEnabled: Boolean(user.totp),
+      recoveryCodesLeft: user.totp ? (user.recoveryCodes || []).length : 0,
+      passkeys: (user.passkeys || []).length,
+    };
+  }
+}
+
+module.exports = {
+  UserStore,
+  ROLE_SCOPES,
+};
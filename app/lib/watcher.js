@@ -1,87 +1,67 @@
-const { parseOptions } = require('./option-parser');
+const crypto = require('crypto');
+const { parseOptions, findInputBox } = require('./option-parser');
+const { TerminalScreen } = require('./screen');
 const stripAnsiModule = require('strip-ansi');
 
+// Claude's spinner line while it works
+const BUSY_PATTERN = /esc to interrupt/i;
+// Lines of Claude's last message included in "Task finished" notifications
+const IDLE_CONTEXT_LINES = 5;
+
 /**
- * Watches PTY output for input prompts and triggers notifications
+ * Watches a session's rendered terminal screen for input prompts and
+ * triggers notifications
  */
 class Watcher {
+  /**
+   * @param {object} options
+   * @param {TerminalScreen} options.screen - Screen fed with the PTY output
+   * @param {number} options.maxLines - Lines from the bottom of the screen to parse
+   * @param {function} options.onTrigger - Called with each new prompt
+   * @param {number} options.idleSeconds - Quiet time before onIdle fires (0 = off)
+   * @param {function} options.onIdle - Called with { lastLines } when Claude
+   *   finishes working and is back at its input box
+   * @param {function} options.onReset - Called when the current prompt is
+   *   answered or the screen is cleared
+   */
   constructor(options = {}) {
+    this.screen = options.screen || new TerminalScreen();
     this.maxLines = options.maxLines || 50;
-    this.lines = [];
+    this.pendingWrites = 0;
     this.lastTrigger = null;
     this.lastTriggerTime = 0;
+    this.promptId = null; // random id of the prompt instance on screen
+    this.dismissed = null; // hash of a prompt that was answered but is still on screen
     this.onTrigger = options.onTrigger || (() => {});
+    this.idleSeconds = options.idleSeconds || 0;
+    this.onIdle = options.onIdle || (() => {});
+    this.onReset = options.onReset || (() => {});
+    this.idleTimer = null;
+    this.busy = false; // Claude has worked since the last idle notification
   }
 
   /**
-   * Strip ANSI escape codes from text using safe strip-ansi module
-   * @param {string} text
-   * @returns {string}
-   */
-  stripAnsi(text) {
-    // Limit input length to prevent DoS
-    if (text.length > 100000) {
-      text = text.slice(-100000);
-    }
-    return stripAnsiModule(text);
-  }
-
-  /**
-   * Process a chunk of PTY output
+   * Process a chunk of PTY output. The screen is checked for prompts once
+   * the emulator has caught up with every pending chunk, so half-drawn
+   * frames never trigger; new prompts are reported through onTrigger.
    * @param {string} data - Raw PTY output (may contain ANSI codes)
-   * @returns {object|null} - Trigger result if prompt detected, null otherwise
    */
   process(data) {
-    // Strip ANSI for pattern matching
-    const stripped = this.stripAnsi(data);
-
-    // Add new content to line buffer
-    const newLines = stripped.split('\n');
-    for (const line of newLines) {
-      if (line.trim().length > 0) {
-        this.lines.push(line);
-      }
-    }
-
-    // Keep only last N lines
-    if (this.lines.length > this.maxLines) {
-      this.lines = this.lines.slice(-this.maxLines);
-    }
-
-    // Check for triggers
-    const windowText = this.lines.join('\n');
-    const result = parseOptions(windowText);
-
-    if (result) {
-      const triggerHash = this._hashPrompt(result.prompt);
-
-      // Check if this is a new trigger
-      if (triggerHash !== this.lastTrigger) {
-        this.lastTrigger = triggerHash;
-        this.lastTriggerTime = Date.now();
-
-        // Call the trigger callback
-        this.onTrigger(result);
-
-        return {
-          type: 'options',
-          prompt: result.prompt,
-          options: result.options,
-          patternName: result.patternName,
-          isNew: true,
-        };
+    clearTimeout(this.idleTimer);
+    this.pendingWrites++;
+    this.screen.write(data, () => {
+      if (--this.pendingWrites === 0) {
+        this._check();
       }
-    }
-
-    return null;
+    });
   }
 
   /**
-   * Get the current rolling buffer content
+   * Get the rendered lines the parser looks at
    * @returns {string}
    */
   getBuffer() {
-    return this.lines.join('\n');
+    return this.screen.getLines(this.maxLines).join('\n');
   }
 
   /**
@@ -91,29 +71,145 @@ class Watcher {
   getLastTrigger() {
     if (!this.lastTrigger) return null;
 
-    const windowText = this.lines.join('\n');
-    const result = parseOptions(windowText);
+    const result = parseOptions(this.getBuffer());
 
     if (result) {
-      return {
-        type: 'options',
-        prompt: result.prompt,
-        options: result.options,
-        patternName: result.patternName,
-        detectedAt: this.lastTriggerTime,
-      };
+      return { ...this._toTrigger(result), detectedAt: this.lastTriggerTime };
     }
 
     return null;
   }
 
   /**
-   * Reset the watcher state
+   * Forget the current prompt (the user answered it). It stays on screen
+   * until Claude redraws, so it is not reported again until something
+   * else has been shown.
    */
   reset() {
-    this.lines = [];
+    this.busy = true;
+    if (this.lastTrigger) {
+      this.dismissed = this.lastTrigger;
+    }
     this.lastTrigger = null;
     this.lastTriggerTime = 0;
+    this.promptId = null;
+    this.onReset();
+  }
+
+  /**
+   * Clear the screen and all prompt state (for a new run of the session)
+   */
+  clear() {
+    clearTimeout(this.idleTimer);
+    this.screen.reset();
+    this.lastTrigger = null;
+    this.lastTriggerTime = 0;
+    this.promptId = null;
+    this.dismissed = null;
+    this.busy = false;
+    this.onReset();
+  }
+
+  /**
+   * Change how long output must be quiet before onIdle fires
+   * @param {number} seconds - 0 turns idle detection off
+   */
+  setIdleSeconds(seconds) {
+    this.idleSeconds = seconds;
+    if (!seconds) clearTimeout(this.idleTimer);
+  }
+
+  /**
+   * Last lines of Claude's output, without box drawing or the input box
+   * @param {number} count
+   * @returns {string[]}
+   */
+  getLastLines(count) {
+    const content = findInputBox(this.getBuffer());
+    if (content) return content.slice(-count);
+    return this.screen.getLines(this.maxLines)
+      .map((line) => line.replace(/^[\s│┃║]+|[\s│┃║]+$/g, ''))
+      .filter((line) => line && !/^[─━═╭╮╰╯┌┐└┘├┤╌-]+$/.test(line))
+      .slice(-count);
+  }
+
+  /**
+   * Stop timers and free the screen (the session is gone)
+   */
+  dispose() {
+    clearTimeout(this.idleTimer);
+    this.screen.dispose();
+  }
+
+  /**
+   * Parse the screen and report a prompt that wasn't reported yet
+   * @private
+   */
+  _check() {
+    const buffer = this.getBuffer();
+    const result = parseOptions(buffer);
+    if (!result) {
+      this.dismissed = null;
+      if (BUSY_PATTERN.test(buffer)) this.busy = true;
+      this._scheduleIdle();
+      return;
+    }
+
+    // Options and tool details are part of the identity: Claude asks
+    // "Do you want to proceed?" for every tool call
+    const { command, path, url } = result.permission || {};
+    const triggerHash = this._hashPrompt(
+      [result.prompt, ...result.options.map((option) => option.label), command, path, url].join('\n')
+    );
+
+    if (triggerHash === this.dismissed) return;
+    this.dismissed = null;
+
+    // Check if this is a new trigger
+    if (triggerHash !== this.lastTrigger) {
+      this.lastTrigger = triggerHash;
+      this.lastTriggerTime = Date.now();
+      // Identifies this showing of the prompt: the same question asked
+      // again later is a new instance
+      this.promptId = crypto.randomBytes(8).toString('hex');
+      this.onTrigger({ ...this._toTrigger(result), isNew: true });
+    }
+  }
+
+  /**
+   * Check for idleness once output has been quiet for idleSeconds
+   * @private
+   */
+  _scheduleIdle() {
+    clearTimeout(this.idleTimer);
+    if (!this.idleSeconds || !this.busy) return;
+
+    this.idleTimer = setTimeout(() => {
+      if (this.pendingWrites > 0) return;
+      if (!findInputBox(this.getBuffer())) return;
+      this.busy = false;
+      this.onIdle({ lastLines: this.getLastLines(IDLE_CONTEXT_LINES) });
+    }, this.idleSeconds * 1000);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Shape a parser result for broadcasting
+   * @private
+   */
+  _toTrigger(result) {
+    return {
+      type: 'options',
+      prompt: result.prompt,
+      question: result.question,
+      options: result.options,
+      selectedIndex: result.selectedIndex,
+      kind: result.kind,
+      permission: result.permission,
+      context: result.context,
+      patternName: result.patternName,
+      promptId: this.promptId,
+    };
   }
 
   /**
@@ -172,6 +268,7 @@ function mightContainTrigger(text) {
 
 module.exports = {
   Watcher,
+  IDLE_CONTEXT_LINES,
   mightContainTrigger,
   TRIGGER_PATTERNS,
 };
@@ -16,11 +16,19 @@
   const exitInfo = document.getElementById('exit-info');
   const startBtn = document.getElementById('start-btn');
   const restartBtn = document.getElementById('restart-btn');
+  const startName = document.getElementById('start-name');
   const startDir = document.getElementById('start-dir');
+  const startCreate = document.getElementById('start-create');
   const startArgs = document.getElementById('start-args');
   const optionsContainer = document.getElementById('options-container');
   const optionsPrompt = document.getElementById('options-prompt');
   const optionsButtons = document.getElementById('options-buttons');
+  const optionsPermission = document.getElementById('options-permission');
+  const permissionTool = document.getElementById('permission-tool');
+  const permissionTarget = document.getElementById('permission-target');
+  const permissionDescription = document.getElementById('permission-description');
+  const permissionPreviewWrap = document.getElementById('permission-preview-wrap');
+  const permissionPreview = document.getElementById('permission-preview');
   const textInput = document.getElementById('text-input');
   const sendBtn = document.getElementById('send-btn');
   const stopBtn = document.getElementById('stop-btn');
@@ -28,14 +36,24 @@
   const navToggleBtn = document.getElementById('nav-toggle-btn');
   const navKeys = document.getElementById('nav-keys');
   const autoBtnToggle = document.getElementById('auto-btn-toggle');
+  const idleBtn = document.getElementById('idle-btn');
   const urlBanner = document.getElementById('url-banner');
   const urlText = document.getElementById('url-text');
   const loginForm = document.getElementById('login-form');
   const loginUser = document.getElementById('login-user');
   const loginPass = document.getElementById('login-pass');
+  const loginCode = document.getElementById('login-code');
   const loginBtn = document.getElementById('login-btn');
   const loginError = document.getElementById('login-error');
   const startOptions = document.getElementById('start-options');
+  const sessionsBtn = document.getElementById('sessions-btn');
+  const sessionList = document.getElementById('session-list');
+  const shareBtn = document.getElementById('share-btn');
+  const viewerCount = document.getElementById('viewer-count');
+  const spectateEnded = document.getElementById('spectate-ended');
+  const controlBanner = document.getElementById('control-banner');
+  const controlText = document.getElementById('control-text');
+  const takeControlBtn = document.getElementById('take-control-btn');
 
   // State
   let ws = null;
@@ -48,6 +66,15 @@
   let reconnectTimer = null;
   const MAX_RECONNECT_DELAY = 30000;
 
+  // Read-only spectator link (?spectate=<token>) - no login, pinned to one session
+  const spectateToken = new URLSearchParams(window.location.search).get('spectate');
+
+  // Claude session this client is attached to (survives reloads)
+  let currentSessionId = spectateToken ? null : localStorage.getItem('sessionId');
+  let currentSessionName = '';
+  let clientId = null; // This connection, as identified by the server
+  let controllerId = null; // Connection holding the session's input lock
+
   // URL detection
   let urlBuffer = '';
   let lastDetectedUrl = null;
@@ -107,7 +134,7 @@
 
     // Handle terminal data (user typing)
     term.onData((data) => {
-      if (isPtyRunning && ws?.readyState === WebSocket.OPEN) {
+      if (isPtyRunning && !isReadOnly() && hasControl() && ws?.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ type: 'input', data }));
       }
     });
@@ -132,7 +159,7 @@
           fitAddon.fit();
 
           // Notify backend of terminal size change
-          if (ws?.readyState === WebSocket.OPEN && term) {
+          if (ws?.readyState === WebSocket.OPEN && term && !isReadOnly() && hasControl()) {
             const { cols, rows } = term;
             ws.send(JSON.stringify({
               type: 'resize',
@@ -228,7 +255,8 @@
     }
 
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const query = spectateToken ? `/?spectate=${encodeURIComponent(spectateToken)}` : '';
+    const wsUrl = `${protocol}//${window.location.host}${query}`;
 
     ws = new WebSocket(wsUrl);
 
@@ -236,14 +264,25 @@
       isConnected = true;
       reconnectAttempts = 0;
       updateConnectionStatus('connected');
+      if (spectateToken) return; // Server sends the shared session's state
+      if (currentSessionId) {
+        ws.send(JSON.stringify({ type: 'attach', sessionId: currentSessionId }));
+      } else {
+        showWelcome();
+      }
     };
 
     ws.onclose = (event) => {
       isConnected = false;
+      if (event.code === 4001 && spectateToken) {
+        showSpectateEnded();
+        updateConnectionStatus('disconnected');
+        return;
+      }
       if (event.code === 4001) {
         isAuthenticated = false;
         showLoginForm();
-        loginError.textContent = 'Session expired';
+        loginError.textContent = event.reason || 'Session expired';
         loginError.classList.remove('hidden');
         return;
       }
@@ -278,18 +317,31 @@
 
   // Message handling
   function handleMessage(msg) {
+    // Drop session output that raced a detach or switch
+    const sessionScoped = msg.type !== 'state' && msg.type !== 'started';
+    if (sessionScoped && msg.sessionId && msg.sessionId !== currentSessionId) return;
+
     switch (msg.type) {
+      case 'hello':
+        clientId = msg.clientId;
+        break;
+      case 'control':
+        updateControl(msg);
+        break;
       case 'state':
         handleState(msg);
         break;
+      case 'sessions':
+        renderSessionList(msg.sessions || []);
+        break;
       case 'output':
         writeToTerminal(msg.data);
         break;
       case 'options':
-        showOptions(msg.prompt, msg.options);
+        showOptions(msg);
         break;
       case 'started':
-        handleStarted();
+        handleStarted(msg);
         break;
       case 'exit':
         handleExit(msg.exitCode, msg.signal);
@@ -300,20 +352,76 @@
       case 'hideOptions':
         hideOptions();
         break;
+      case 'policyDecision':
+        if (msg.decision.action !== 'ask') {
+          const verb = msg.decision.action === 'allow' ? 'Allowed' : 'Denied';
+          const target = msg.decision.command || msg.decision.path || msg.decision.url || '';
+          writeToTerminal(`\r\n[Policy] ${verb} ${msg.decision.tool || 'tool'} ${target}\r\n`);
+        }
+        break;
+      case 'viewers':
+        viewerCount.textContent = `👁 ${msg.viewers}`;
+        viewerCount.classList.toggle('hidden', !msg.viewers);
+        break;
+    }
+  }
+
+  // Only one device types and sizes the terminal at a time; the others
+  // see who has control and can take it over
+  function hasControl() {
+    return !controllerId || controllerId === clientId;
+  }
+
+  function updateControl(control) {
+    const hadControl = hasControl();
+    controllerId = control?.controllerId || null;
+    const locked = !hasControl() && !isReadOnly();
+    controlText.textContent = locked ? `🔒 ${control.controllerLabel || 'Another device'} has control` : '';
+    controlBanner.classList.toggle('hidden', !locked);
+    document.getElementById('app').classList.toggle('input-locked', locked);
+    // Taking over means the terminal should match this screen
+    if (!hadControl && hasControl()) safeFit();
+  }
+
+  takeControlBtn.addEventListener('click', () => {
+    if (ws?.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'takeControl' }));
+    }
+  });
+
+  function setCurrentSession(session) {
+    currentSessionId = session?.id || null;
+    currentSessionName = session?.name || '';
+    updateIdleButton(session?.idleNotify);
+    if (!currentSessionId) viewerCount.classList.add('hidden');
+    if (spectateToken) return;
+    if (currentSessionId) {
+      localStorage.setItem('sessionId', currentSessionId);
+    } else {
+      localStorage.removeItem('sessionId');
     }
   }
 
   function handleState(state) {
+    setCurrentSession(state.session);
+    updateControl(state.control);
     isPtyRunning = state.pty?.running || false;
     updatePtyStatus();
 
+    if (!state.sessionId) {
+      clearTerminal();
+      hideOptions();
+      showWelcome();
+      return;
+    }
+
     if (state.buffer) {
       clearTerminal();
       writeToTerminal(state.buffer);
     }
 
     if (state.lastTrigger?.options) {
-      showOptions(state.lastTrigger.prompt, state.lastTrigger.options);
+      showOptions(state.lastTrigger);
     }
 
     if (isPtyRunning) {
@@ -326,7 +434,8 @@
     }
   }
 
-  function handleStarted() {
+  function handleStarted(msg) {
+    setCurrentSession(msg.session);
     isPtyRunning = true;
     welcome.classList.add('hidden');
     exitScreen.classList.add('hidden');
@@ -351,7 +460,9 @@
   function showWelcome() {
     welcome.classList.remove('hidden');
     exitScreen.classList.add('hidden');
-    if (isAuthenticated) {
+    if (spectateToken) {
+      showSpectateEnded();
+    } else if (isAuthenticated) {
       showStartOptions();
     } else {
       showLoginForm();
@@ -359,7 +470,8 @@
   }
 
   function updatePtyStatus() {
-    ptyStatus.textContent = isPtyRunning ? 'Running' : 'Stopped';
+    const status = isPtyRunning ? 'Running' : 'Stopped';
+    ptyStatus.textContent = currentSessionName ? `${currentSessionName} · ${status}` : status;
     sendBtn.disabled = !isPtyRunning;
     stopBtn.classList.toggle('hidden', !isPtyRunning);
   }
@@ -368,29 +480,58 @@
   let lastOptions = null;
   let autoButtonsEnabled = localStorage.getItem('autoButtons') === 'true';
 
-  function showOptions(prompt, options) {
-    lastOptions = { prompt, options };
+  // trigger: { prompt, options, selectedIndex, kind } as sent by the server
+  function showOptions(trigger) {
+    lastOptions = trigger;
     if (!autoButtonsEnabled) return;
-    renderOptions(prompt, options);
+    renderOptions(trigger);
+  }
+
+  // Short labels for the answers of a tool-approval dialog
+  const PERMISSION_LABELS = { allow: 'Allow once', always: 'Always allow', deny: 'Deny' };
+
+  function renderPermission(permission) {
+    optionsPermission.classList.toggle('hidden', !permission);
+    if (!permission) return;
+    permissionTool.textContent = permission.tool || 'Tool';
+    permissionTarget.textContent = permission.command || permission.path || permission.url || '';
+    permissionTarget.classList.toggle('hidden', !permissionTarget.textContent);
+    permissionDescription.textContent = permission.description || '';
+    permissionDescription.classList.toggle('hidden', !permission.description);
+    permissionPreview.textContent = permission.preview || '';
+    permissionPreviewWrap.classList.toggle('hidden', !permission.preview);
   }
 
-  function renderOptions(prompt, options) {
+  function renderOptions({ prompt, options, selectedIndex, kind, permission }) {
     optionsPrompt.textContent = prompt || 'Select:';
+    optionsContainer.dataset.kind = kind || 'menu';
+    renderPermission(permission);
+    const actionByIndex = {};
+    for (const [action, index] of Object.entries(permission?.actions || {})) {
+      if (index !== null) actionByIndex[index] = action;
+    }
     // Clear children safely without innerHTML
     while (optionsButtons.firstChild) {
       optionsButtons.removeChild(optionsButtons.firstChild);
     }
-    for (const opt of options) {
+    // Free-text questions have no buttons; the answer goes in the text box
+    options.forEach((opt, index) => {
       const btn = document.createElement('button');
-      btn.className = 'option-btn';
-      btn.textContent = opt.label;
+      btn.className = index === selectedIndex ? 'option-btn selected' : 'option-btn';
+      if (actionByIndex[index]) {
+        btn.textContent = PERMISSION_LABELS[actionByIndex[index]];
+        btn.title = opt.label;
+        btn.classList.add(`permission-${actionByIndex[index]}`);
+      } else {
+        btn.textContent = opt.label;
+      }
       btn.onclick = () => {
         if (opt.value) sendRawInput(opt.value);
         sendRawInput('\r');
         hideOptions();
       };
       optionsButtons.appendChild(btn);
-    }
+    });
     optionsContainer.classList.remove('hidden');
   }
 
@@ -413,27 +554,399 @@
     ws.send(JSON.stringify({ type: 'input', data }));
   }
 
-  function startClaude(args = [], cwd = '') {
+  function startClaude(args = [], cwd = '', options = {}) {
     if (!ws || ws.readyState !== WebSocket.OPEN) return;
     const msg = { type: 'start', args };
     if (cwd) msg.cwd = cwd;
+    if (options.name) msg.name = options.name;
+    if (options.sessionId) msg.sessionId = options.sessionId;
+    if (options.create) msg.create = true;
+    if (options.profileId) msg.profileId = options.profileId;
     ws.send(JSON.stringify(msg));
   }
 
+  // Sessions
+  function renderSessionList(sessions) {
+    const current = sessions.find((session) => session.id === currentSessionId);
+    if (current) updateIdleButton(current.idleNotify);
+    while (sessionList.firstChild) {
+      sessionList.removeChild(sessionList.firstChild);
+    }
+    for (const session of sessions) {
+      const item = document.createElement('div');
+      item.className = 'session-item';
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'session-open';
+      const dot = document.createElement('span');
+      dot.className = 'session-dot' + (session.running ? ' running' : '');
+      const name = document.createElement('span');
+      name.className = 'session-name';
+      name.textContent = session.name;
+      const cwd = document.createElement('span');
+      cwd.className = 'session-cwd';
+      cwd.textContent = session.cwd;
+      openBtn.append(dot, name, cwd);
+      openBtn.onclick = () => attachSession(session.id);
+
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'session-close';
+      closeBtn.title = 'Close session';
+      closeBtn.textContent = '×';
+      closeBtn.onclick = () => {
+        const prompt = session.running ? `Stop and close "${session.name}"?` : `Close "${session.name}"?`;
+        if (confirm(prompt) && ws?.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'close', sessionId: session.id }));
+        }
+      };
+
+      item.append(openBtn, closeBtn);
+      sessionList.appendChild(item);
+    }
+    sessionList.classList.toggle('hidden', sessions.length === 0);
+  }
+
+  function attachSession(sessionId) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'attach', sessionId }));
+  }
+
   // Event listeners
   startBtn.addEventListener('click', () => {
     const args = startArgs.value.trim();
     const cwd = startDir.value.trim();
-    if (cwd) localStorage.setItem('lastDir', cwd);
-    startClaude(args ? args.split(' ') : [], cwd);
+    if (cwd) addRecentProject(cwd);
+    startClaude(args ? args.split(' ') : [], cwd, { name: startName.value.trim(), create: startCreate.checked });
+    startName.value = '';
+    startCreate.checked = false;
+  });
+
+  // Project picker: favourite and recent folders (relative to /workspace)
+  // and a browser for the folders on the server
+  const MAX_RECENT_PROJECTS = 5;
+  const projectShortcuts = document.getElementById('project-shortcuts');
+  const projectBrowser = document.getElementById('project-browser');
+  const projectPath = document.getElementById('project-path');
+  const projectList = document.getElementById('project-list');
+
+  function readProjectList(key) {
+    try {
+      const list = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(list) ? list.filter((dir) => typeof dir === 'string') : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // Recents used to be a single 'lastDir'
+  const legacyLastDir = localStorage.getItem('lastDir');
+  if (legacyLastDir) {
+    if (readProjectList('projectRecents').length === 0) {
+      localStorage.setItem('projectRecents', JSON.stringify([legacyLastDir]));
+    }
+    localStorage.removeItem('lastDir');
+  }
+
+  function addRecentProject(dir) {
+    const recents = [dir, ...readProjectList('projectRecents').filter((recent) => recent !== dir)];
+    localStorage.setItem('projectRecents', JSON.stringify(recents.slice(0, MAX_RECENT_PROJECTS)));
+  }
+
+  function toggleFavoriteProject(dir) {
+    const favorites = readProjectList('projectFavorites');
+    const updated = favorites.includes(dir)
+      ? favorites.filter((favorite) => favorite !== dir)
+      : [...favorites, dir].sort();
+    localStorage.setItem('projectFavorites', JSON.stringify(updated));
+    renderProjectShortcuts();
+  }
+
+  function chooseProject(dir) {
+    startDir.value = dir;
+    startCreate.checked = false;
+  }
+
+  function renderProjectShortcuts() {
+    while (projectShortcuts.firstChild) {
+      projectShortcuts.removeChild(projectShortcuts.firstChild);
+    }
+    const favorites = readProjectList('projectFavorites');
+    const recents = readProjectList('projectRecents').filter((dir) => !favorites.includes(dir));
+    for (const dir of [...favorites, ...recents]) {
+      const chip = document.createElement('button');
+      const favorite = favorites.includes(dir);
+      chip.className = 'project-chip' + (favorite ? ' favorite' : '');
+      chip.textContent = (favorite ? '★ ' : '') + (dir || '/workspace');
+      chip.title = favorite ? 'Favourite' : 'Recent';
+      chip.onclick = () => chooseProject(dir);
+      projectShortcuts.appendChild(chip);
+    }
+    projectShortcuts.classList.toggle('hidden', favorites.length + recents.length === 0);
+  }
+
+  function describeGit(git) {
+    if (git.error) return 'git: ' + git.error;
+    let text = '⎇ ' + (git.branch || 'detached');
+    if (git.ahead) text += ` ↑${git.ahead}`;
+    if (git.behind) text += ` ↓${git.behind}`;
+    if (git.dirty) text += ' ●';
+    return text;
+  }
+
+  function projectRow(label, dir, git, star) {
+    const item = document.createElement('div');
+    item.className = 'account-item';
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'project-open';
+    openBtn.textContent = label;
+    openBtn.onclick = () => {
+      chooseProject(dir);
+      loadProjects(dir);
+    };
+    item.appendChild(openBtn);
+
+    if (git) {
+      const status = document.createElement('span');
+      status.className = 'project-git' + (git.dirty ? ' dirty' : '');
+      status.textContent = describeGit(git);
+      status.title = git.dirty ? 'Uncommitted changes' : '';
+      item.appendChild(status);
+    }
+
+    if (star) {
+      const starBtn = document.createElement('button');
+      const favorite = readProjectList('projectFavorites').includes(dir);
+      starBtn.className = 'project-star' + (favorite ? ' active' : '');
+      starBtn.textContent = favorite ? '★' : '☆';
+      starBtn.title = favorite ? 'Remove from favourites' : 'Add to favourites';
+      starBtn.onclick = () => {
+        toggleFavoriteProject(dir);
+        const active = readProjectList('projectFavorites').includes(dir);
+        starBtn.classList.toggle('active', active);
+        starBtn.textContent = active ? '★' : '☆';
+      };
+      item.appendChild(starBtn);
+    }
+    return item;
+  }
+
+  async function loadProjects(dir = '') {
+    try {
+      const listing = await apiJson('/api/projects?path=' + encodeURIComponent(dir));
+      while (projectList.firstChild) {
+        projectList.removeChild(projectList.firstChild);
+      }
+      projectPath.textContent = '/workspace' + (listing.path ? '/' + listing.path : '') +
+        (listing.git ? ' · ' + describeGit(listing.git) : '');
+      if (listing.parent !== null) {
+        projectList.appendChild(projectRow('..', listing.parent, null, false));
+      }
+      for (const entry of listing.entries) {
+        projectList.appendChild(projectRow(entry.name, entry.path, entry.git, true));
+      }
+      if (listing.entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'account-item-meta';
+        empty.textContent = 'No folders here';
+        projectList.appendChild(empty);
+      }
+    } catch (err) {
+      // A typed folder that doesn't exist yet: browse from the top instead
+      if (dir) return loadProjects('');
+      projectPath.textContent = err.message;
+    }
+  }
+
+  projectBrowser.addEventListener('toggle', () => {
+    if (projectBrowser.open) loadProjects(startDir.value.trim());
   });
 
+  // Launch profiles: one tap starts a session with saved folder, args,
+  // model, environment and initial prompt (owners edit them)
+  const profileShortcuts = document.getElementById('profile-shortcuts');
+  const profilesPanel = document.getElementById('profiles-panel');
+  const profileList = document.getElementById('profile-list');
+  const profileName = document.getElementById('profile-name');
+  const profileCwd = document.getElementById('profile-cwd');
+  const profileArgs = document.getElementById('profile-args');
+  const profileModel = document.getElementById('profile-model');
+  const profileEnv = document.getElementById('profile-env');
+  const profilePrompt = document.getElementById('profile-prompt');
+  const profileSaveBtn = document.getElementById('profile-save-btn');
+  const profileCancelBtn = document.getElementById('profile-cancel-btn');
+  let editingProfileId = null;
+
+  function launchProfile(profile) {
+    startClaude([], '', { profileId: profile.id });
+  }
+
+  function renderProfileShortcuts(profiles) {
+    while (profileShortcuts.firstChild) {
+      profileShortcuts.removeChild(profileShortcuts.firstChild);
+    }
+    for (const profile of profiles) {
+      const chip = document.createElement('button');
+      chip.className = 'project-chip';
+      chip.textContent = '▶ ' + profile.name;
+      chip.title = 'Start ' + profile.cwd;
+      chip.onclick = () => launchProfile(profile);
+      profileShortcuts.appendChild(chip);
+    }
+    profileShortcuts.classList.toggle('hidden', profiles.length === 0);
+  }
+
+  function resetProfileForm() {
+    editingProfileId = null;
+    for (const input of [profileName, profileCwd, profileArgs, profileModel, profileEnv, profilePrompt]) {
+      input.value = '';
+    }
+    profileSaveBtn.textContent = 'Save profile';
+    profileCancelBtn.classList.add('hidden');
+  }
+
+  function editProfile(profile) {
+    editingProfileId = profile.id;
+    profileName.value = profile.name;
+    profileCwd.value = profile.cwd.replace(/^\/workspace\/?/, '');
+    profileArgs.value = profile.args.join(' ');
+    profileModel.value = profile.model;
+    // Secrets come back masked; saving the mask keeps the stored value
+    profileEnv.value = Object.entries(profile.env).map(([name, value]) => `${name}=${value}`).join('\n');
+    profilePrompt.value = profile.initialPrompt;
+    profileSaveBtn.textContent = 'Update profile';
+    profileCancelBtn.classList.remove('hidden');
+    profileName.focus();
+  }
+
+  async function loadProfiles() {
+    try {
+      const { profiles } = await apiJson('/api/profiles');
+      renderProfileShortcuts(profiles);
+      while (profileList.firstChild) {
+        profileList.removeChild(profileList.firstChild);
+      }
+      for (const profile of profiles) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+
+        const label = document.createElement('div');
+        label.className = 'account-item-label';
+        label.textContent = profile.name;
+        const meta = document.createElement('div');
+        meta.className = 'account-item-meta';
+        meta.textContent = [profile.cwd, profile.model, profile.args.join(' '), profile.initialPrompt && 'initial prompt']
+          .filter(Boolean).join(' · ');
+        label.appendChild(meta);
+
+        const launchBtn = document.createElement('button');
+        launchBtn.className = 'secondary-btn';
+        launchBtn.textContent = 'Start';
+        launchBtn.onclick = () => launchProfile(profile);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'secondary-btn profile-edit';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = () => editProfile(profile);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'secondary-btn danger profile-edit';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = async () => {
+          if (!confirm(`Delete profile "${profile.name}"?`)) return;
+          try {
+            await apiJson(`/api/profiles/${encodeURIComponent(profile.id)}`, { method: 'DELETE' });
+          } catch (err) {
+            alert(err.message);
+          }
+          if (editingProfileId === profile.id) resetProfileForm();
+          loadProfiles();
+        };
+
+        item.append(label, launchBtn, editBtn, deleteBtn);
+        profileList.appendChild(item);
+      }
+    } catch (err) {
+      console.error('[Profiles] Load failed:', err);
+    }
+  }
+
+  profilesPanel.addEventListener('toggle', () => {
+    if (profilesPanel.open) loadProfiles();
+  });
+
+  profileSaveBtn.addEventListener('click', async () => {
+    const env = {};
+    for (const line of profileEnv.value.split('\n')) {
+      if (!line.trim()) continue;
+      const separator = line.indexOf('=');
+      if (separator <= 0) {
+        alert(`Expected NAME=value: ${line}`);
+        return;
+      }
+      env[line.slice(0, separator).trim()] = line.slice(separator + 1);
+    }
+    const args = profileArgs.value.trim();
+    const body = {
+      name: profileName.value.trim(),
+      cwd: profileCwd.value.trim(),
+      args: args ? args.split(/\s+/) : [],
+      model: profileModel.value.trim(),
+      env,
+      initialPrompt: profilePrompt.value.trim(),
+    };
+    try {
+      if (editingProfileId) {
+        await apiJson(`/api/profiles/${encodeURIComponent(editingProfileId)}`, { method: 'PATCH', body });
+      } else {
+        await apiJson('/api/profiles', { method: 'POST', body });
+      }
+      resetProfileForm();
+      loadProfiles();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  profileCancelBtn.addEventListener('click', resetProfileForm);
+
   restartBtn.addEventListener('click', () => {
     exitScreen.classList.add('hidden');
-    const cwd = startDir.value.trim();
-    if (cwd) localStorage.setItem('lastDir', cwd);
-    startClaude([], cwd);
+    startClaude([], '', { sessionId: currentSessionId });
+  });
+
+  function detachSession() {
+    if (ws?.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'detach' }));
+    } else {
+      showWelcome();
+    }
+  }
+
+  sessionsBtn.addEventListener('click', detachSession);
+
+  // Share a read-only link to the current session
+  shareBtn.addEventListener('click', async () => {
+    if (!currentSessionId) return;
+    try {
+      const res = await fetch('/api/spectator-links', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: currentSessionId, minutes: 60 }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not create link');
+
+      if (navigator.share) {
+        await navigator.share({ title: `Watch ${currentSessionName}`, url: data.url });
+      } else {
+        prompt('Read-only link (valid for 1 hour):', data.url);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') alert(err.message);
+    }
   });
+  document.getElementById('exit-sessions-btn').addEventListener('click', detachSession);
 
   stopBtn.addEventListener('click', () => {
     if (ws?.readyState === WebSocket.OPEN) {
@@ -480,11 +993,30 @@
     }
   });
 
+  // "Task finished" notifications for the current session
+  let idleNotifyEnabled = false;
+
+  function updateIdleButton(idleNotify) {
+    idleNotifyEnabled = Boolean(idleNotify?.enabled);
+    idleBtn.classList.toggle('hidden', !idleNotify);
+    idleBtn.classList.toggle('notify-on', idleNotifyEnabled);
+    if (idleNotify) {
+      idleBtn.title = idleNotifyEnabled
+        ? `Notifying when Claude finishes (${idleNotify.seconds}s quiet)`
+        : 'Notify when Claude finishes';
+    }
+  }
+
+  idleBtn.addEventListener('click', () => {
+    if (!ws || ws.readyState !== WebSocket.OPEN || !currentSessionId) return;
+    ws.send(JSON.stringify({ type: 'setIdleNotify', enabled: !idleNotifyEnabled }));
+  });
+
   // Toggles
   function updateAutoBtnToggle() {
     autoBtnToggle.classList.toggle('notify-on', autoButtonsEnabled);
     if (autoButtonsEnabled && lastOptions) {
-      renderOptions(lastOptions.prompt, lastOptions.options);
+      renderOptions(lastOptions);
     } else {
       hideOptions();
     }
@@ -533,20 +1065,44 @@
         applicationServerKey: urlBase64ToUint8Array(publicKey)
       });
 
-      // Send subscription to server
+      // Send subscription to server, named so it can be told apart in the device list
       const subRes = await fetch('/api/push-subscribe', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(subscription)
+        body: JSON.stringify({ subscription, label: describeDevice(navigator.userAgent) })
       });
+      if (!subRes.ok) return false;
 
-      return subRes.ok;
+      const { id, evicted } = await subRes.json();
+      localStorage.setItem('pushSubscriptionId', id);
+      if (evicted) {
+        console.warn(`[Push] Subscription limit reached, removed ${evicted.label} (${evicted.username || 'unknown user'})`);
+      }
+      return true;
     } catch (err) {
       console.error('[Push] Subscribe failed:', err);
       return false;
     }
   }
 
+  // Stop pushes to this browser, on the server and in the browser
+  async function unsubscribeFromPush() {
+    localStorage.removeItem('pushSubscriptionId');
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      const subscription = await reg.pushManager.getSubscription();
+      if (!subscription) return;
+      await fetch('/api/push-unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: subscription.endpoint })
+      });
+      await subscription.unsubscribe();
+    } catch (err) {
+      console.error('[Push] Unsubscribe failed:', err);
+    }
+  }
+
   function urlBase64ToUint8Array(base64String) {
     const padding = '='.repeat((4 - base64String.length % 4) % 4);
     const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
@@ -561,6 +1117,7 @@
   notifyBtn.addEventListener('click', async () => {
     if (notificationsEnabled) {
       notificationsEnabled = false;
+      if ('serviceWorker' in navigator) await unsubscribeFromPush();
     } else {
       if ('Notification' in window && 'serviceWorker' in navigator) {
         const perm = await Notification.requestPermission();
@@ -580,11 +1137,530 @@
     navigator.serviceWorker.ready.then(() => subscribeToPush());
   }
 
+  // API tokens
+  const tokensPanel = document.getElementById('tokens-panel');
+  const tokenList = document.getElementById('token-list');
+  const tokenName = document.getElementById('token-name');
+  const tokenScopes = document.getElementById('token-scopes');
+  const tokenCreated = document.getElementById('token-created');
+  const tokenValue = document.getElementById('token-value');
+
+  async function apiJson(url, options = {}) {
+    const init = { ...options, headers: { ...options.headers } };
+    if (options.body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(options.body);
+    }
+    const res = await fetch(url, init);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+    return data;
+  }
+
+  function formatDate(ms) {
+    return ms ? new Date(ms).toLocaleString() : 'never';
+  }
+
+  async function loadTokens() {
+    try {
+      const { tokens } = await apiJson('/api/tokens');
+      while (tokenList.firstChild) {
+        tokenList.removeChild(tokenList.firstChild);
+      }
+      for (const token of tokens) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+
+        const label = document.createElement('div');
+        label.className = 'account-item-label';
+        label.textContent = token.name;
+        const meta = document.createElement('div');
+        meta.className = 'account-item-meta';
+        meta.textContent = `${token.scopes.join(', ')} · used ${formatDate(token.lastUsed)}`;
+        label.appendChild(meta);
+
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'secondary-btn danger';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.onclick = async () => {
+          if (!confirm(`Revoke token "${token.name}"?`)) return;
+          try {
+            await apiJson(`/api/tokens/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+          } catch (err) {
+            alert(err.message);
+          }
+          loadTokens();
+        };
+
+        item.append(label, revokeBtn);
+        tokenList.appendChild(item);
+      }
+    } catch (err) {
+      console.error('[Tokens] Load failed:', err);
+    }
+  }
+
+  tokensPanel.addEventListener('toggle', () => {
+    if (tokensPanel.open) loadTokens();
+  });
+
+  document.getElementById('token-create-btn').addEventListener('click', async () => {
+    const scopes = Array.from(tokenScopes.querySelectorAll('input:checked'), (input) => input.value);
+    try {
+      const { token } = await apiJson('/api/tokens', {
+        method: 'POST',
+        body: { name: tokenName.value.trim(), scopes },
+      });
+      tokenValue.textContent = token;
+      tokenCreated.classList.remove('hidden');
+      tokenName.value = '';
+      loadTokens();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  // Auto-approval policy
+  const policyPanel = document.getElementById('policy-panel');
+  const policyStatus = document.getElementById('policy-status');
+  const policyToggleBtn = document.getElementById('policy-toggle-btn');
+  const policyRules = document.getElementById('policy-rules');
+  const policyDecisions = document.getElementById('policy-decisions');
+  let policyEnabled = false;
+
+  function renderPolicy({ enabled, rules, decisions }) {
+    policyEnabled = enabled;
+    policyStatus.textContent = `${enabled ? 'On' : 'Off'} · ${rules.length} rule${rules.length === 1 ? '' : 's'}`;
+    policyToggleBtn.textContent = enabled ? 'Turn off' : 'Turn on';
+    policyToggleBtn.className = enabled ? 'secondary-btn danger' : 'secondary-btn';
+    // Only owners can turn it back on
+    policyToggleBtn.classList.toggle('hidden', !enabled && document.getElementById('app').dataset.role !== 'owner');
+    if (document.activeElement !== policyRules) {
+      policyRules.value = JSON.stringify(rules, null, 2);
+    }
+
+    while (policyDecisions.firstChild) {
+      policyDecisions.removeChild(policyDecisions.firstChild);
+    }
+    for (const decision of (decisions || []).slice(0, 20)) {
+      const item = document.createElement('div');
+      item.className = 'account-item';
+      const label = document.createElement('div');
+      label.className = 'account-item-label';
+      label.textContent = `${decision.action} · ${decision.tool || 'tool'} ${decision.command || decision.path || decision.url || ''}`;
+      label.title = label.textContent;
+      const meta = document.createElement('div');
+      meta.className = 'account-item-meta';
+      meta.textContent = `rule ${decision.ruleIndex + 1} · ${formatDate(decision.time)}`;
+      label.appendChild(meta);
+      item.appendChild(label);
+      policyDecisions.appendChild(item);
+    }
+  }
+
+  async function loadPolicy() {
+    try {
+      renderPolicy(await apiJson('/api/policy'));
+    } catch (err) {
+      console.error('[Policy] Load failed:', err);
+    }
+  }
+
+  policyPanel.addEventListener('toggle', () => {
+    if (policyPanel.open) loadPolicy();
+  });
+
+  policyToggleBtn.addEventListener('click', async () => {
+    try {
+      if (policyEnabled) {
+        await apiJson('/api/policy/disable', { method: 'POST' });
+      } else {
+        await apiJson('/api/policy', { method: 'PUT', body: { enabled: true } });
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+    loadPolicy();
+  });
+
+  document.getElementById('policy-save-btn').addEventListener('click', async () => {
+    let rules;
+    try {
+      rules = JSON.parse(policyRules.value || '[]');
+    } catch (err) {
+      alert(`Rules are not valid JSON: ${err.message}`);
+      return;
+    }
+    try {
+      await apiJson('/api/policy', { method: 'PUT', body: { rules } });
+      policyRules.blur();
+      loadPolicy();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  // Signed-in devices
+  const loginsPanel = document.getElementById('logins-panel');
+  const loginList = document.getElementById('login-list');
+
+  // Short device name from a User-Agent string
+  function describeDevice(userAgent) {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+      : /Firefox\//.test(userAgent) ? 'Firefox'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+      : /Safari\//.test(userAgent) ? 'Safari'
+      : null;
+    const device = /iPhone/.test(userAgent) ? 'iPhone'
+      : /iPad/.test(userAgent) ? 'iPad'
+      : /Android/.test(userAgent) ? 'Android'
+      : /Macintosh/.test(userAgent) ? 'Mac'
+      : /Windows/.test(userAgent) ? 'Windows'
+      : /Linux/.test(userAgent) ? 'Linux'
+      : null;
+    if (!browser && !device) return userAgent ? userAgent.slice(0, 40) : 'Unknown device';
+    return [browser, device].filter(Boolean).join(' on ');
+  }
+
+  async function loadLogins() {
+    try {
+      const { sessions } = await apiJson('/api/sessions');
+      const me = sessions.find((login) => login.current)?.username;
+      while (loginList.firstChild) {
+        loginList.removeChild(loginList.firstChild);
+      }
+      for (const login of sessions) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+
+        const label = document.createElement('div');
+        label.className = 'account-item-label';
+        const owner = login.username !== me ? `${login.username} · ` : '';
+        label.textContent = owner + describeDevice(login.userAgent || '');
+        const meta = document.createElement('div');
+        meta.className = 'account-item-meta';
+        meta.textContent = `${login.ip || 'unknown IP'} · active ${formatDate(login.lastSeen)}`;
+        label.appendChild(meta);
+        item.appendChild(label);
+
+        if (login.current) {
+          const current = document.createElement('span');
+          current.className = 'account-item-current';
+          current.textContent = 'This device';
+          item.appendChild(current);
+        } else {
+          const revokeBtn = document.createElement('button');
+          revokeBtn.className = 'secondary-btn danger';
+          revokeBtn.textContent = 'Log out';
+          revokeBtn.onclick = async () => {
+            try {
+              await apiJson(`/api/sessions/${encodeURIComponent(login.id)}`, { method: 'DELETE' });
+            } catch (err) {
+              alert(err.message);
+            }
+            loadLogins();
+          };
+          item.appendChild(revokeBtn);
+        }
+        loginList.appendChild(item);
+      }
+    } catch (err) {
+      console.error('[Logins] Load failed:', err);
+    }
+  }
+
+  loginsPanel.addEventListener('toggle', () => {
+    if (loginsPanel.open) loadLogins();
+  });
+
+  // Ends this login too - the WebSocket closes with 4001 and the login form comes back
+  document.getElementById('logout-all-btn').addEventListener('click', async () => {
+    if (!confirm('Log out on every device, including this one?')) return;
+    try {
+      await apiJson('/api/sessions/revoke-all', { method: 'POST', body: {} });
+      loginsPanel.open = false;
+      isAuthenticated = false;
+      showLoginForm();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  // Push notification devices
+  const pushPanel = document.getElementById('push-panel');
+  const pushList = document.getElementById('push-list');
+
+  async function loadPushDevices() {
+    try {
+      const { subscriptions } = await apiJson('/api/push-subscriptions');
+      const currentId = localStorage.getItem('pushSubscriptionId');
+      while (pushList.firstChild) {
+        pushList.removeChild(pushList.firstChild);
+      }
+      if (subscriptions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'account-item-meta';
+        empty.textContent = 'No devices. Tap 🔕 to get push notifications here.';
+        pushList.appendChild(empty);
+      }
+      for (const sub of subscriptions) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+
+        const label = document.createElement('div');
+        label.className = 'account-item-label';
+        const owner = !sub.mine ? `${sub.username || 'unknown user'} · ` : '';
+        label.textContent = owner + sub.label;
+        const meta = document.createElement('div');
+        meta.className = 'account-item-meta';
+        const status = sub.lastError ? `last error: ${sub.lastError}`
+          : sub.lastSuccessAt ? `delivered ${formatDate(sub.lastSuccessAt)}`
+          : 'nothing delivered yet';
+        meta.textContent = `added ${formatDate(sub.created)} · ${status}`;
+        label.appendChild(meta);
+        item.appendChild(label);
+
+        if (sub.id === currentId) {
+          const current = document.createElement('span');
+          current.className = 'account-item-current';
+          current.textContent = 'This device';
+          item.appendChild(current);
+        }
+
+        const testBtn = document.createElement('button');
+        testBtn.className = 'secondary-btn';
+        testBtn.textContent = 'Test';
+        testBtn.onclick = async () => {
+          testBtn.disabled = true;
+          try {
+            const result = await apiJson(`/api/push-subscriptions/${encodeURIComponent(sub.id)}/test`, { method: 'POST', body: {} });
+            testBtn.textContent = result.success ? 'Sent' : 'Failed';
+            testBtn.title = result.error || '';
+          } catch (err) {
+            alert(err.message);
+          }
+          testBtn.disabled = false;
+        };
+        item.appendChild(testBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'secondary-btn danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+          try {
+            if (sub.id === currentId) {
+              await unsubscribeFromPush();
+              notificationsEnabled = false;
+              localStorage.setItem('notifications', notificationsEnabled);
+              updateNotifyButton();
+            } else {
+              await apiJson(`/api/push-subscriptions/${encodeURIComponent(sub.id)}`, { method: 'DELETE' });
+            }
+          } catch (err) {
+            alert(err.message);
+          }
+          loadPushDevices();
+        };
+        item.appendChild(removeBtn);
+        pushList.appendChild(item);
+      }
+    } catch (err) {
+      console.error('[Push] Load devices failed:', err);
+    }
+  }
+
+  pushPanel.addEventListener('toggle', () => {
+    if (pushPanel.open) loadPushDevices();
+  });
+
+  // Two-factor authentication
+  const twofaPanel = document.getElementById('twofa-panel');
+  const twofaStatus = document.getElementById('twofa-status');
+  const twofaSetupBtn = document.getElementById('twofa-setup-btn');
+  const twofaEnroll = document.getElementById('twofa-enroll');
+  const twofaManage = document.getElementById('twofa-manage');
+  const twofaManageCode = document.getElementById('twofa-manage-code');
+  const twofaRecovery = document.getElementById('twofa-recovery');
+
+  function showRecoveryCodes(codes) {
+    document.getElementById('twofa-recovery-codes').textContent = codes.join('\n');
+    twofaRecovery.classList.remove('hidden');
+  }
+
+  async function loadTwoFactor() {
+    try {
+      const { enabled, recoveryCodesLeft } = await apiJson('/api/2fa');
+      twofaStatus.textContent = enabled
+        ? `Enabled · ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? '' : 's'} left`
+        : 'Off - your password is the only thing protecting this shell';
+      twofaSetupBtn.classList.toggle('hidden', enabled);
+      twofaManage.classList.toggle('hidden', !enabled);
+      if (enabled) twofaEnroll.classList.add('hidden');
+    } catch (err) {
+      twofaStatus.textContent = err.message;
+    }
+  }
+
+  twofaPanel.addEventListener('toggle', () => {
+    if (twofaPanel.open) loadTwoFactor();
+  });
+
+  twofaSetupBtn.addEventListener('click', async () => {
+    try {
+      const { secret, qr } = await apiJson('/api/2fa/setup', { method: 'POST', body: {} });
+      document.getElementById('twofa-qr').src = qr;
+      document.getElementById('twofa-secret').textContent = secret;
+      twofaEnroll.classList.remove('hidden');
+      twofaSetupBtn.classList.add('hidden');
+      document.getElementById('twofa-code').focus();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  document.getElementById('twofa-enable-btn').addEventListener('click', async () => {
+    const codeInput = document.getElementById('twofa-code');
+    try {
+      const { recoveryCodes } = await apiJson('/api/2fa/enable', {
+        method: 'POST',
+        body: { code: codeInput.value.trim() },
+      });
+      codeInput.value = '';
+      showRecoveryCodes(recoveryCodes);
+      loadTwoFactor();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  document.getElementById('twofa-codes-btn').addEventListener('click', async () => {
+    try {
+      const { recoveryCodes } = await apiJson('/api/2fa/recovery-codes', {
+        method: 'POST',
+        body: { code: twofaManageCode.value.trim() },
+      });
+      twofaManageCode.value = '';
+      showRecoveryCodes(recoveryCodes);
+      loadTwoFactor();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  document.getElementById('twofa-disable-btn').addEventListener('click', async () => {
+    if (!confirm('Turn off two-factor authentication?')) return;
+    try {
+      await apiJson('/api/2fa/disable', {
+        method: 'POST',
+        body: { code: twofaManageCode.value.trim() },
+      });
+      twofaManageCode.value = '';
+      twofaRecovery.classList.add('hidden');
+      loadTwoFactor();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  async function loadPasskeys() {
+    try {
+      const { passkeys } = await apiJson('/api/webauthn/passkeys');
+      while (passkeyList.firstChild) {
+        passkeyList.removeChild(passkeyList.firstChild);
+      }
+      for (const passkey of passkeys) {
+        const item = document.createElement('div');
+        item.className = 'account-item';
+
+        const label = document.createElement('div');
+        label.className = 'account-item-label';
+        label.textContent = passkey.name;
+        const meta = document.createElement('div');
+        meta.className = 'account-item-meta';
+        meta.textContent = `added ${formatDate(passkey.created)} · used ${formatDate(passkey.lastUsed)}`;
+        label.appendChild(meta);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'secondary-btn danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+          if (!confirm(`Remove passkey "${passkey.name}"?`)) return;
+          try {
+            await apiJson(`/api/webauthn/passkeys/${encodeURIComponent(passkey.id)}`, { method: 'DELETE' });
+          } catch (err) {
+            alert(err.message);
+          }
+          loadPasskeys();
+        };
+
+        item.append(label, removeBtn);
+        passkeyList.appendChild(item);
+      }
+    } catch (err) {
+      console.error('[Passkeys] Load failed:', err);
+    }
+  }
+
+  passkeysPanel.addEventListener('toggle', () => {
+    if (passkeysPanel.open) loadPasskeys();
+  });
+
+  document.getElementById('passkey-add-btn').addEventListener('click', async () => {
+    try {
+      const { options, challengeId } = await apiJson('/api/webauthn/register/options', { method: 'POST', body: {} });
+      const credential = await navigator.credentials.create({
+        publicKey: {
+          ...options,
+          challenge: fromBase64url(options.challenge),
+          user: { ...options.user, id: fromBase64url(options.user.id) },
+          excludeCredentials: withCredentialIds(options.excludeCredentials),
+        },
+      });
+
+      await apiJson('/api/webauthn/register/verify', {
+        method: 'POST',
+        body: {
+          challengeId,
+          name: passkeyName.value.trim(),
+          response: {
+            id: credential.id,
+            rawId: toBase64url(credential.rawId),
+            type: credential.type,
+            response: {
+              clientDataJSON: toBase64url(credential.response.clientDataJSON),
+              attestationObject: toBase64url(credential.response.attestationObject),
+              transports: credential.response.getTransports?.() || [],
+            },
+            clientExtensionResults: credential.getClientExtensionResults(),
+            authenticatorAttachment: credential.authenticatorAttachment,
+          },
+        },
+      });
+      passkeyName.value = '';
+      loadPasskeys();
+    } catch (err) {
+      if (err.name !== 'NotAllowedError') alert(err.message);
+    }
+  });
+
   // Auth
+  // The role only hides controls the server would reject anyway
+  function applyRole(role) {
+    document.getElementById('app').dataset.role = role || '';
+  }
+
+  // Viewers and spectators watch without typing or resizing
+  function isReadOnly() {
+    const role = document.getElementById('app').dataset.role;
+    return role === 'viewer' || role === 'spectator';
+  }
+
   async function checkAuth() {
     try {
       const res = await fetch('/api/auth-check');
       if (res.ok) {
+        const { role } = await res.json();
+        applyRole(role);
         isAuthenticated = true;
         showStartOptions();
         return true;
@@ -595,6 +1671,12 @@
     return false;
   }
 
+  function showSpectateEnded() {
+    welcome.classList.remove('hidden');
+    exitScreen.classList.add('hidden');
+    spectateEnded.classList.remove('hidden');
+  }
+
   function showLoginForm() {
     welcome.classList.remove('hidden');
     loginForm.classList.remove('hidden');
@@ -607,50 +1689,76 @@
     loginForm.classList.add('hidden');
     startOptions.classList.remove('hidden');
 
-    const lastDir = localStorage.getItem('lastDir');
-    if (lastDir) {
+    renderProjectShortcuts();
+    if (!['operator', 'viewer'].includes(document.getElementById('app').dataset.role)) {
+      loadProfiles();
+    }
+    const [lastDir] = readProjectList('projectRecents');
+    if (lastDir && !startDir.value) {
       startDir.value = lastDir;
-      const label = document.getElementById('last-dir-label');
-      const name = document.getElementById('last-dir-name');
-      if (label && name) {
-        name.textContent = lastDir;
-        label.classList.remove('hidden');
-      }
     }
     startDir.focus();
   }
 
+  // Set while the server waits for the second factor of a login
+  let loginChallenge = null;
+
+  async function postLogin(url, body) {
+    // Get CSRF token first
+    const csrfRes = await fetch('/api/csrf-token');
+    const { token } = await csrfRes.json();
+
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': token
+      },
+      body: JSON.stringify(body)
+    });
+  }
+
+  function showLoginStep(totp) {
+    loginChallenge = totp ? loginChallenge : null;
+    loginUser.classList.toggle('hidden', totp);
+    loginPass.classList.toggle('hidden', totp);
+    loginCode.classList.toggle('hidden', !totp);
+    loginCode.value = '';
+    loginBtn.textContent = totp ? 'Verify' : 'Login';
+    (totp ? loginCode : loginPass).focus();
+  }
+
   loginBtn.addEventListener('click', async () => {
     const user = loginUser.value;
     const pass = loginPass.value;
+    const code = loginCode.value.trim();
     loginError.classList.add('hidden');
 
-    if (!user || !pass) {
-      loginError.textContent = 'Enter username and password';
+    if (loginChallenge ? !code : (!user || !pass)) {
+      loginError.textContent = loginChallenge ? 'Enter the code from your authenticator app' : 'Enter username and password';
       loginError.classList.remove('hidden');
       return;
     }
 
     loginBtn.disabled = true;
     try {
-      // Get CSRF token first
-      const csrfRes = await fetch('/api/csrf-token');
-      const { token } = await csrfRes.json();
-
-      const res = await fetch('/api/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': token
-        },
-        body: JSON.stringify({ username: user, password: pass })
-      });
-      if (res.ok) {
+      const res = loginChallenge
+        ? await postLogin('/api/login/totp', { challenge: loginChallenge, code })
+        : await postLogin('/api/login', { username: user, password: pass });
+      const data = await res.json();
+      if (res.ok && data.totpRequired) {
+        loginChallenge = data.challenge;
+        showLoginStep(true);
+      } else if (res.ok) {
+        applyRole(data.role);
         isAuthenticated = true;
+        loginPass.value = '';
+        showLoginStep(false);
         showStartOptions();
         connect();
       } else {
-        const data = await res.json();
+        // An expired challenge means starting over from the password
+        if (loginChallenge && /expired/i.test(data.error || '')) showLoginStep(false);
         loginError.textContent = data.error || 'Invalid credentials';
         loginError.classList.remove('hidden');
       }
@@ -665,6 +1773,82 @@
     if (e.key === 'Enter') loginBtn.click();
   });
 
+  loginCode.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loginBtn.click();
+  });
+
+  // Passkeys (WebAuthn) - the server speaks base64url JSON, the browser API wants buffers
+  const passkeyLoginBtn = document.getElementById('passkey-login-btn');
+  const passkeysPanel = document.getElementById('passkeys-panel');
+  const passkeyList = document.getElementById('passkey-list');
+  const passkeyName = document.getElementById('passkey-name');
+  const webauthnSupported = Boolean(window.PublicKeyCredential && navigator.credentials);
+
+  function fromBase64url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+  }
+
+  function toBase64url(buffer) {
+    let binary = '';
+    for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function withCredentialIds(list) {
+    return (list || []).map((credential) => ({ ...credential, id: fromBase64url(credential.id) }));
+  }
+
+  passkeyLoginBtn.classList.toggle('hidden', !webauthnSupported);
+  document.getElementById('app').classList.toggle('no-webauthn', !webauthnSupported);
+
+  passkeyLoginBtn.addEventListener('click', async () => {
+    loginError.classList.add('hidden');
+    passkeyLoginBtn.disabled = true;
+    try {
+      const optionsRes = await postLogin('/api/webauthn/login/options', {});
+      const { options, challengeId } = await optionsRes.json();
+      const credential = await navigator.credentials.get({
+        publicKey: {
+          ...options,
+          challenge: fromBase64url(options.challenge),
+          allowCredentials: withCredentialIds(options.allowCredentials),
+        },
+      });
+
+      const res = await postLogin('/api/webauthn/login/verify', {
+        challengeId,
+        response: {
+          id: credential.id,
+          rawId: toBase64url(credential.rawId),
+          type: credential.type,
+          response: {
+            clientDataJSON: toBase64url(credential.response.clientDataJSON),
+            authenticatorData: toBase64url(credential.response.authenticatorData),
+            signature: toBase64url(credential.response.signature),
+            userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : undefined,
+          },
+          clientExtensionResults: credential.getClientExtensionResults(),
+        },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Passkey login failed');
+
+      applyRole(data.role);
+      isAuthenticated = true;
+      showStartOptions();
+      connect();
+    } catch (err) {
+      // NotAllowedError means the user dismissed the system prompt
+      if (err.name !== 'NotAllowedError') {
+        loginError.textContent = err.message;
+        loginError.classList.remove('hidden');
+      }
+    }
+    passkeyLoginBtn.disabled = false;
+  });
+
   // Init - Register service worker for push notifications
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('/sw.js')
@@ -673,9 +1857,14 @@
   }
 
   initTerminal();
-  showLoginForm();
-  checkAuth().then(ok => {
-    if (ok) connect();
-  });
+  if (spectateToken) {
+    applyRole('spectator');
+    connect();
+  } else {
+    showLoginForm();
+    checkAuth().then(ok => {
+      if (ok) connect();
+    });
+  }
 
 })();
@@ -1,6 +1,6 @@
 // Service Worker for Claude Code Controller PWA
 
-const CACHE_NAME = 'claude-controller-v2-force-refresh';
+const CACHE_NAME = 'claude-controller-v4';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
@@ -70,6 +70,9 @@ self.addEventListener('push', (event) => {
     }
   }
 
+  // Answer buttons; browsers show only a few (Chrome two, Safari none)
+  const actions = (data.actions || []).slice(0, self.Notification?.maxActions ?? 2);
+
   const options = {
     body: data.body || data.message || 'Claude Code needs your input',
     icon: '/icon-192.svg',
@@ -78,8 +81,10 @@ self.addEventListener('push', (event) => {
     tag: 'claude-input',
     renotify: true,
     requireInteraction: true,
+    actions: actions.map(({ action, title }) => ({ action, title })),
     data: {
-      url: data.url || '/'
+      url: data.url || '/',
+      answers: Object.fromEntries(actions.map(({ action, url }) => [action, url]))
     }
   };
 
@@ -88,10 +93,16 @@ self.addEventListener('push', (event) => {
   );
 });
 
-// Notification clicked - open/focus the app
+// Notification clicked - answer the prompt, or open/focus the app
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
+  const answerUrl = event.action && event.notification.data?.answers?.[event.action];
+  if (answerUrl) {
+    event.waitUntil(answerFromNotification(answerUrl));
+    return;
+  }
+
   const urlToOpen = event.notification.data?.url || '/';
 
   event.waitUntil(
@@ -109,3 +120,26 @@ self.addEventListener('notificationclick', (event) => {
     })
   );
 });
+
+// Post the chosen option; say so if it didn't go through (e.g. the prompt
+// was already answered)
+async function answerFromNotification(url) {
+  let error = null;
+  try {
+    const response = await fetch(url, { method: 'POST' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      error = data.error || `Answer failed (${response.status})`;
+    }
+  } catch (e) {
+    error = 'Could not reach the server';
+  }
+  if (error) {
+    await self.registration.showNotification('Claude Code', {
+      body: error,
+      icon: '/icon-192.svg',
+      tag: 'claude-input',
+      data: { url: '/' }
+    });
+  }
+}
@@ -5,27 +5,61 @@ const path = require('path');
 const fs = require('fs');
 const webpush = require('web-push');
 const rateLimit = require('express-rate-limit');
-const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const helmet = require('helmet');
 
-const PTYManager = require('./lib/pty-manager');
-const { Watcher } = require('./lib/watcher');
-const Notifier = require('./lib/notifier');
+const { SessionManager, MIN_IDLE_SECONDS, MAX_IDLE_SECONDS } = require('./lib/session-manager');
+const { IDLE_CONTEXT_LINES } = require('./lib/watcher');
+const { TranscriptStore } = require('./lib/transcript');
+const { TokenStore, hasScope, SCOPES } = require('./lib/api-tokens');
+const { UserStore, ROLE_SCOPES } = require('./lib/users');
+const { Store } = require('./lib/store');
+const AuditLog = require('./lib/audit-log');
+const { PolicyEngine } = require('./lib/policy');
+const { ProjectBrowser } = require('./lib/projects');
+const { ProfileStore } = require('./lib/profiles');
+const { findInputBox } = require('./lib/option-parser');
+const QRCode = require('qrcode');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const { ChannelManager, PRIORITIES } = require('./lib/channels');
+const { describeEndpoint } = require('./lib/channels/webpush');
+const { ReminderScheduler, parseSchedule } = require('./lib/reminders');
+const { QuietHours } = require('./lib/quiet-hours');
+const { summarizePrompt, summarizeFinished, summarizeActions } = require('./lib/notification-summary');
+const { AnswerTokens } = require('./lib/answer-tokens');
 
 // Configuration from environment
 const config = {
   port: process.env.PORT || 3000,
   domain: process.env.DOMAIN || 'localhost',
   auth: {
+    // Seed for the first owner account when no users file exists yet
     user: process.env.AUTH_USER || 'admin',
     passHash: process.env.AUTH_PASS_HASH || '',
+    usersFile: process.env.USERS_FILE || null,
   },
   ntfy: {
     server: process.env.NTFY_SERVER || 'https://ntfy.sh',
     topic: process.env.NTFY_TOPIC,
     token: process.env.NTFY_TOKEN || null,
+    // Answer buttons put one-time answer links in the topic's messages
+    answerButtons: process.env.NTFY_ANSWER_BUTTONS === 'true',
     debounceSeconds: parseInt(process.env.DEBOUNCE_SECONDS, 10) || 30,
+    // "Task finished" after this many quiet seconds at the input box (0 = off)
+    idleSeconds: process.env.IDLE_NOTIFY_SECONDS !== undefined
+      ? Math.max(parseInt(process.env.IDLE_NOTIFY_SECONDS, 10) || 0, 0)
+      : 30,
+  },
+  reminders: {
+    // Minutes after a prompt appeared to notify again while it is unanswered
+    schedule: process.env.REMINDER_MINUTES !== undefined ? process.env.REMINDER_MINUTES : '5,15,60',
+    quietHours: process.env.QUIET_HOURS || null,
+    quietMinPriority: process.env.QUIET_HOURS_MIN_PRIORITY || 'max',
   },
   claude: {
     command: 'claude',
@@ -33,7 +67,28 @@ const config = {
       ? process.env.CLAUDE_OPTS.split(' ')
       : ['--settings', '{"theme":"dark"}'],  // Default to dark mode
   },
+  maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || 5,
+  // Persistent server data (transcripts etc.) - lives in the mounted .claude volume by default
+  dataDir: process.env.DATA_DIR || '/home/node_user/.claude/onclaude',
+  transcripts: {
+    maxFileBytes: (parseInt(process.env.TRANSCRIPT_MAX_FILE_MB, 10) || 5) * 1024 * 1024,
+    maxTotalBytes: (parseInt(process.env.TRANSCRIPT_MAX_TOTAL_MB, 10) || 100) * 1024 * 1024,
+  },
   mockMode: process.env.MOCK_MODE === 'true',
+  audit: {
+    maxBytes: (parseInt(process.env.AUDIT_MAX_MB, 10) || 20) * 1024 * 1024,
+    // Typed input is logged as its length only unless explicitly disabled
+    redactInput: process.env.AUDIT_REDACT_INPUT !== 'false',
+  },
+  // Passkeys are bound to this domain; both default to the host the browser used
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID || null,
+    origin: process.env.WEBAUTHN_ORIGIN || null,
+  },
+  // Where logins, bans and push subscriptions are persisted: 'json' or 'sqlite'
+  storeBackend: process.env.STORE_BACKEND || 'json',
+  // Static bearer token with full access (optional, predates scoped tokens)
+  apiToken: process.env.API_TOKEN || null,
   vapid: {
     publicKey: process.env.VAPID_PUBLIC_KEY,
     privateKey: process.env.VAPID_PRIVATE_KEY,
@@ -41,9 +96,27 @@ const config = {
   },
 };
 
+// Persistent server state (survives restarts)
+const store = new Store({ dir: config.dataDir, backend: config.storeBackend });
+
 // Session management
-const sessions = new Map(); // token -> { created: Date }
-const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// Sliding expiry: a login lasts while it is used at least once a day, up to 30 days
+const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours idle
+const SESSION_MAX_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days absolute
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // Persist lastSeen at most once a minute
+// SHA-256 of the cookie -> { id, created, lastSeen, username, userAgent, ip }.
+// Only the hash is saved, so the file can't be used to log in.
+const sessions = store.map('sessions', { isExpired: isSessionExpired });
+
+function sessionKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isSessionExpired(session, now = Date.now()) {
+  return now - (session.lastSeen || session.created) > SESSION_DURATION ||
+    now - session.created > SESSION_MAX_DURATION;
+}
+
 const CLAUDE_HOME = '/home/node_user/.claude';
 
 // Ensure Claude settings exist with defaults (skip onboarding)
@@ -82,38 +155,107 @@ function initClaudeSettings() {
 // Initialize settings on startup
 initClaudeSettings();
 
-function createSession() {
+function createSession(username, req) {
   const token = crypto.randomBytes(32).toString('hex');
-  sessions.set(token, { created: Date.now() });
+  const now = Date.now();
+  sessions.set(sessionKey(token), {
+    id: crypto.randomBytes(4).toString('hex'), // Public handle for listing/revoking
+    created: now,
+    lastSeen: now,
+    username,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: getClientIp(req),
+  });
   return token;
 }
 
-function validateSession(token) {
-  if (!token) return false;
-  const session = sessions.get(token);
-  if (!session) return false;
-  if (Date.now() - session.created > SESSION_DURATION) {
-    sessions.delete(token);
-    return false;
+// Look up a login by its key and record the activity (HTTP requests and
+// WebSocket messages)
+function getSession(key) {
+  if (!key) return null;
+  const session = sessions.get(key);
+  if (!session) return null;
+  const now = Date.now();
+  if (isSessionExpired(session, now)) {
+    sessions.delete(key);
+    return null;
   }
-  return true;
+  if (now - (session.lastSeen || 0) > SESSION_TOUCH_INTERVAL) {
+    session.lastSeen = now;
+    sessions.set(key, session);
+  }
+  return session;
+}
+
+/**
+ * End a login and close the WebSockets opened with it
+ */
+function revokeSession(key, reason) {
+  sessions.delete(key);
+  for (const client of clients) {
+    if (client.auth?.type === 'session' && client.auth.sessionKey === key) {
+      client.close(4001, reason);
+    }
+  }
+}
+
+function validateSession(key) {
+  return getSession(key) !== null;
 }
 
 // Cleanup expired sessions every 5 minutes
 setInterval(() => {
   const now = Date.now();
-  for (const [token, session] of sessions.entries()) {
-    if (now - session.created > SESSION_DURATION) {
-      sessions.delete(token);
+  for (const [key, session] of sessions.entries()) {
+    if (isSessionExpired(session, now)) {
+      sessions.delete(key);
     }
   }
 }, 5 * 60 * 1000);
 
+// User accounts with roles (owner / operator / viewer)
+const userStore = new UserStore({
+  file: config.auth.usersFile || path.join(config.dataDir, 'users.json'),
+  seed: { username: config.auth.user, passHash: config.auth.passHash },
+});
+
+// Scoped API tokens (hashed at rest in the data dir)
+const tokenStore = new TokenStore({ file: path.join(config.dataDir, 'tokens.json') });
+
+// Append-only record of who did what (JSONL in the data dir)
+const auditLog = new AuditLog({
+  file: path.join(config.dataDir, 'audit.jsonl'),
+  maxBytes: config.audit.maxBytes,
+  redactInput: config.audit.redactInput,
+});
+
+// Rules for answering permission prompts automatically
+const policy = new PolicyEngine({ file: path.join(config.dataDir, 'policy.json') });
+
+/**
+ * Add an entry to the audit log
+ * @param {object} source - The Express request or WebSocket the action came through
+ * @param {string} action - e.g. 'session.start'
+ * @param {object} fields - { user, sessionId, ...details }; user defaults to the source's auth
+ */
+function audit(source, action, { user, sessionId = null, ...details } = {}) {
+  const viaHttp = Boolean(source.headers);
+  auditLog.record({
+    action,
+    user: user !== undefined ? user : (source.auth ? describeAuth(source.auth) : null),
+    ip: viaHttp ? getClientIp(source) : source.ip,
+    via: viaHttp ? 'http' : 'ws',
+    sessionId,
+    details,
+  });
+}
+
+// Key of the login named by the session cookie
 function getSessionFromRequest(req) {
   // Check cookie first
   const cookies = req.headers.cookie || '';
   const match = cookies.match(/session=([^;]+)/);
-  return match ? match[1] : null;
+  return match ? sessionKey(match[1]) : null;
 }
 
 // CSRF token generation
@@ -123,8 +265,10 @@ function generateCsrfToken() {
 
 // Web Push setup
 let vapidKeys = null;
-const pushSubscriptions = new Set();
+// endpoint -> { id, subscription, username, tokenId, owner, label, created, lastSuccessAt, lastError }
+const pushSubscriptions = store.map('push-subscriptions');
 const MAX_PUSH_SUBSCRIPTIONS = 100;
+const MAX_DEVICE_LABEL_LENGTH = 60;
 
 function setupWebPush() {
   // Check for environment variables first
@@ -160,30 +304,31 @@ function setupWebPush() {
   console.log('[WebPush] Initialized');
 }
 
-async function sendWebPush(title, body) {
-  const payload = JSON.stringify({ title, body, url: '/' });
-  const deadSubscriptions = [];
+// Initialize Web Push
+setupWebPush();
 
-  for (const sub of pushSubscriptions) {
-    try {
-      await webpush.sendNotification(sub, payload);
-    } catch (error) {
-      if (error.statusCode === 410 || error.statusCode === 404) {
-        deadSubscriptions.push(sub);
-      } else {
-        console.error('[WebPush] Error:', error.message);
-      }
-    }
-  }
+// Project folders under /workspace, for the picker and session starts
+const projects = new ProjectBrowser({ root: '/workspace' });
 
-  // Clean up dead subscriptions
-  for (const sub of deadSubscriptions) {
-    pushSubscriptions.delete(sub);
-  }
-}
+// Saved launch profiles (folder, args, model, env, initial prompt)
+const profileStore = new ProfileStore({
+  file: path.join(config.dataDir, 'profiles.json'),
+  validateArgs,
+  resolveCwd: (cwd) => projects.resolve(cwd),
+});
 
-// Initialize Web Push
-setupWebPush();
+// On-disk transcripts (one append-only log per Claude run)
+let transcriptStore = null;
+try {
+  transcriptStore = new TranscriptStore({
+    dir: path.join(config.dataDir, 'transcripts'),
+    maxFileBytes: config.transcripts.maxFileBytes,
+    maxTotalBytes: config.transcripts.maxTotalBytes,
+  });
+  console.log(`[Transcript] Writing transcripts to ${transcriptStore.dir}`);
+} catch (err) {
+  console.error('[Transcript] Disabled - could not create transcript directory:', err.message);
+}
 
 // Initialize components
 const app = express();
@@ -249,34 +394,152 @@ app.use(helmet({
 }));
 
 // Rate limiting: 20 requests per minute
+// The headless session API has its own, higher limit so scripts can poll output
 const limiter = rateLimit({
   windowMs: 60 * 1000,
   max: 20,
   message: { error: 'Too many requests' },
+  skip: (req) => req.path.startsWith('/api/session/'),
 });
 app.use(limiter);
 
+// Session API rate limiting: 120 requests per minute
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: { error: 'Too many requests' },
+});
+
 // WebSocket rate limiting
-const wsConnections = new Map(); // IP -> timestamp[]
 const WS_RATE_LIMIT = 3; // max connections per minute per IP
 const WS_WINDOW = 60 * 1000;
+const wsConnections = store.map('ws-connections', { // IP -> timestamp[]
+  isExpired: (timestamps) => !timestamps.some((t) => Date.now() - t < WS_WINDOW),
+});
 
-const ptyManager = new PTYManager({ cols: 120, rows: 40 });
-const watcher = new Watcher({
-  onTrigger: (result) => {
-    // Send ntfy notification
-    notifier.notify({ prompt: result.prompt });
-    // Send web push notification
-    sendWebPush('Claude Code - Input Needed', result.prompt);
+// Claude sessions - one PTYManager + Watcher pair per session
+const sessionManager = new SessionManager({
+  maxSessions: config.maxSessions,
+  ptyOptions: { cols: 120, rows: 40 },
+  idleSeconds: config.ntfy.idleSeconds,
+  onIdle: (session, { lastLines }) => notifyFinished(session, { lastLines }),
+  // Answered (or a new run): stop reminding
+  onReset: (session) => reminders.cancel(session.id),
+  onTrigger: (session, result) => {
+    // Show the options on attached clients
+    broadcastToSession(session, result);
+    // Prompts answered by a policy rule don't need a human
+    if (applyPolicy(session, result)) return;
+    channels.notify({
+      event: 'prompt',
+      priority: PROMPT_PRIORITY,
+      session,
+      actions: notificationActions(session, result),
+      summarize: (type) => summarizePrompt(result, session, type),
+      isValid: () => isPromptOpen(session, result.promptId),
+    });
+    reminders.start(session, result);
   },
 });
 
-const notifier = new Notifier({
-  server: config.ntfy.server,
-  topic: config.ntfy.topic,
-  token: config.ntfy.token,
-  debounceSeconds: config.ntfy.debounceSeconds,
-  clickUrl: `https://${config.domain}/`,
+/**
+ * Tell the user Claude is done: back at its input box, or exited
+ * @param {ClaudeSession} session
+ * @param {object} info - { lastLines, exitCode }
+ */
+function notifyFinished(session, { lastLines, exitCode }) {
+  console.log(`[Session] ${session.id} finished${exitCode === undefined ? '' : ` (exit ${exitCode})`}, notifying`);
+  channels.notify({
+    event: exitCode === undefined ? 'finished' : 'exited',
+    priority: 'default',
+    session,
+    summarize: (type) => summarizeFinished({ lastLines, exitCode }, session, type),
+  });
+}
+
+const PROMPT_PRIORITY = 'high';
+
+/**
+ * Notify again about a prompt that is still open, one priority step
+ * higher each time
+ */
+function remindPrompt(session, { promptId, reminder, waitingMinutes }) {
+  if (!isPromptOpen(session, promptId) || (!session.isRunning() && !session.mockInputHandler)) {
+    reminders.cancel(session.id);
+    return;
+  }
+  const trigger = session.watcher.getLastTrigger();
+  const priority = PRIORITIES[
+    Math.min(PRIORITIES.indexOf(PROMPT_PRIORITY) + reminder - 1, PRIORITIES.length - 1)
+  ];
+  console.log(`[Reminders] Prompt in ${session.id} open for ${waitingMinutes} min, reminder ${reminder} (${priority})`);
+  channels.notify({
+    event: 'reminder',
+    priority,
+    session,
+    actions: notificationActions(session, trigger),
+    summarize: (type) => summarizePrompt(trigger, session, type, { waitingMinutes }),
+    isValid: () => isPromptOpen(session, promptId),
+  });
+}
+
+/**
+ * Whether a notified prompt is still the one on the session's screen
+ */
+function isPromptOpen(session, promptId) {
+  return sessionManager.get(session.id) === session &&
+    session.watcher.getLastTrigger()?.promptId === promptId;
+}
+
+let reminderSchedule = [];
+try {
+  reminderSchedule = parseSchedule(config.reminders.schedule);
+} catch (error) {
+  console.error(`[Reminders] ${error.message}; reminders are off`);
+}
+const reminders = new ReminderScheduler({ minutes: reminderSchedule, onRemind: remindPrompt });
+
+let quietHours = null;
+if (config.reminders.quietHours) {
+  try {
+    quietHours = new QuietHours({
+      range: config.reminders.quietHours,
+      minPriority: config.reminders.quietMinPriority,
+    });
+  } catch (error) {
+    console.error(`[QuietHours] ${error.message}; quiet hours are off`);
+  }
+}
+
+// Where notifications go: ntfy and Web Push from the environment, plus
+// whatever DATA_DIR/channels.json configures
+const channels = new ChannelManager({
+  file: path.join(config.dataDir, 'channels.json'),
+  appUrl: `https://${config.domain}/`,
+  quietHours,
+  defaults: {
+    ntfy: {
+      server: config.ntfy.server,
+      topic: config.ntfy.topic,
+      token: config.ntfy.token,
+      debounceSeconds: config.ntfy.debounceSeconds,
+      clickUrl: `https://${config.domain}/`,
+      answerButtons: config.ntfy.answerButtons,
+    },
+    webpush: {
+      // Buttons only go to subscribers who may answer (canAnswer)
+      answerButtons: true,
+      webpush,
+      subscriptions: pushSubscriptions,
+      onExpired: (entry) => auditLog.record({
+        action: 'push.expire',
+        user: entry.owner,
+        via: 'webpush',
+        details: { subscriptionId: entry.id, label: entry.label },
+      }),
+      canAnswer: (entry) => hasScope(pushSubscriberScopes(entry), 'answer'),
+    },
+  },
 });
 
 // Connected WebSocket clients
@@ -351,140 +614,1186 @@ const loginLimiter = rateLimit({
 // Login endpoint with rate limiting and CSRF protection
 app.post('/api/login', loginLimiter, validateCsrf, async (req, res) => {
   const { username, password } = req.body;
+  const ip = getClientIp(req);
 
-  if (!config.auth.passHash) {
-    console.error('[Auth] AUTH_PASS_HASH not configured');
+  if (userStore.isEmpty()) {
+    console.error('[Auth] No users configured (set AUTH_PASS_HASH or create a users file)');
     res.status(500).json({ error: 'Server auth not configured' });
     return;
   }
 
   try {
-    const userMatch = username === config.auth.user;
-    const passMatch = await bcrypt.compare(password, config.auth.passHash);
-
-    if (userMatch && passMatch) {
-      const token = createSession();
-      // Use secure cookies in production (HTTPS), allow insecure for local dev
-      const isProduction = process.env.NODE_ENV === 'production' || process.env.FORCE_SECURE_COOKIES === 'true';
-      res.cookie('session', token, {
-        httpOnly: true,
-        secure: isProduction, // true in production (HTTPS required)
-        sameSite: 'lax', // lax for better mobile compatibility
-        maxAge: SESSION_DURATION,
-      });
-      console.log(`[Auth] Login successful for user: ${username}`);
-      res.json({ success: true });
+    const user = await userStore.verifyPassword(username, password);
+
+    if (user?.totpEnabled) {
+      // Password was right - the session is only issued after the second step
+      console.log(`[Auth] Password accepted for user: ${user.username} from ${ip}, waiting for 2FA code`);
+      res.json({ totpRequired: true, challenge: createLoginChallenge(user.username) });
+    } else if (user) {
+      completeLogin(req, res, user, 'password');
     } else {
-      console.log(`[Auth] Login failed for user: ${username}`);
+      console.log(`[Auth] Login failed for user: ${username} from ${ip}`);
+      audit(req, 'auth.login_failed', { user: null, username: String(username || '').slice(0, 40) });
       res.status(401).json({ error: 'Invalid credentials' });
     }
   } catch (err) {
     console.error('[Auth] Error during login:', err.message);
     res.status(500).json({ error: 'Login error' });
   }
-});
+});
+
+// Pending second login steps: the password was verified, the TOTP code not yet
+const loginChallenges = new Map(); // challenge -> { username, expires, attempts }
+const LOGIN_CHALLENGE_DURATION = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+function createLoginChallenge(username) {
+  const now = Date.now();
+  for (const [challenge, pending] of loginChallenges.entries()) {
+    if (now > pending.expires) loginChallenges.delete(challenge);
+  }
+  const challenge = crypto.randomBytes(32).toString('hex');
+  loginChallenges.set(challenge, { username, expires: now + LOGIN_CHALLENGE_DURATION, attempts: 0 });
+  return challenge;
+}
+
+/**
+ * Issue the session cookie for a fully authenticated user
+ */
+function completeLogin(req, res, user, method) {
+  const token = createSession(user.username, req);
+  // Use secure cookies in production (HTTPS), allow insecure for local dev
+  const isProduction = process.env.NODE_ENV === 'production' || process.env.FORCE_SECURE_COOKIES === 'true';
+  res.cookie('session', token, {
+    httpOnly: true,
+    secure: isProduction, // true in production (HTTPS required)
+    sameSite: 'lax', // lax for better mobile compatibility
+    maxAge: SESSION_MAX_DURATION, // The server enforces the idle timeout
+  });
+  console.log(`[Auth] Login successful for user: ${user.username} (${user.role}) from ${getClientIp(req)} via ${method}`);
+  audit(req, 'auth.login', { user: user.username, role: user.role, method });
+  res.json({ success: true, user: user.username, role: user.role });
+}
+
+// Second login step: TOTP or recovery code (same rate limit as the password step)
+app.post('/api/login/totp', loginLimiter, validateCsrf, (req, res) => {
+  const { challenge, code } = req.body || {};
+  const pending = typeof challenge === 'string' ? loginChallenges.get(challenge) : null;
+  if (!pending || Date.now() > pending.expires) {
+    if (pending) loginChallenges.delete(challenge);
+    return res.status(401).json({ error: 'Login expired, enter your password again' });
+  }
+
+  const method = userStore.verifySecondFactor(pending.username, code);
+  const user = method ? userStore.get(pending.username) : null;
+  if (!user) {
+    pending.attempts++;
+    if (pending.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) loginChallenges.delete(challenge);
+    console.log(`[Auth] 2FA failed for user: ${pending.username} from ${getClientIp(req)}`);
+    audit(req, 'auth.login_failed', { user: null, username: pending.username, step: 'totp' });
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+
+  loginChallenges.delete(challenge);
+  if (method === 'recovery') {
+    console.log(`[Auth] Recovery code used by ${user.username} (${user.recoveryCodesLeft} left)`);
+  }
+  completeLogin(req, res, user, method);
+});
+
+// Auth check endpoint
+app.get('/api/auth-check', (req, res) => {
+  const auth = authenticate(req);
+  if (auth?.type === 'session') {
+    res.json({ authenticated: true, user: auth.user, role: auth.role, scopes: auth.scopes });
+  } else {
+    res.status(401).json({ authenticated: false });
+  }
+});
+
+// Logout endpoint
+app.post('/api/logout', (req, res) => {
+  const key = getSessionFromRequest(req);
+
+  const session = getSession(key);
+  if (session) {
+    revokeSession(key, 'Logged out');
+    console.log(`[Auth] Logout for user: ${session.username} from ${getClientIp(req)}`);
+    audit(req, 'auth.logout', { user: session.username });
+  }
+
+  // Clear the session cookie
+  const isProduction = process.env.NODE_ENV === 'production' || process.env.FORCE_SECURE_COOKIES === 'true';
+  res.cookie('session', '', {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: 'lax',
+    maxAge: 0, // Expire immediately
+  });
+
+  res.json({ success: true });
+});
+
+// Bearer token from the Authorization header. WebSocket clients may pass
+// ?token= instead, since browsers can't set headers on the upgrade request.
+function getBearerToken(req, { allowQuery = false } = {}) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (match) return match[1];
+  if (allowQuery) {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  }
+  return null;
+}
+
+/**
+ * What an API token may do now: its own scopes, limited to what the role of
+ * the account that created it still grants
+ * @param {object} info - Token info ({ scopes, createdBy })
+ * @returns {string[]|null} Scopes, or null once the token grants nothing
+ *   (its creator was removed or demoted below all of its scopes)
+ */
+function tokenScopes(info) {
+  if (!info.createdBy) return info.scopes;
+  const creator = userStore.get(info.createdBy);
+  if (!creator) return null;
+  const scopes = SCOPES.filter((scope) =>
+    hasScope(info.scopes, scope) && hasScope(ROLE_SCOPES[creator.role], scope));
+  return scopes.length > 0 ? scopes : null;
+}
+
+/**
+ * Work out who is making a request: a bearer token or the login session cookie
+ * @returns {object|null} { type, scopes, ... } or null if unauthenticated
+ */
+function authenticate(req, options) {
+  const bearer = getBearerToken(req, options);
+  if (bearer) {
+    if (config.apiToken) {
+      const given = Buffer.from(bearer);
+      const expected = Buffer.from(config.apiToken);
+      if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+        return { type: 'token', tokenId: null, name: 'API_TOKEN', scopes: ['admin'] };
+      }
+    }
+    const info = tokenStore.verify(bearer);
+    // Tokens die with the account that created them and shrink with its role
+    const scopes = info && tokenScopes(info);
+    if (!scopes) return null;
+    return { type: 'token', tokenId: info.id, name: info.name, user: info.createdBy, scopes };
+  }
+
+  const key = getSessionFromRequest(req);
+  const session = getSession(key);
+  const user = session && userStore.get(session.username);
+  if (user) {
+    return {
+      type: 'session',
+      sessionKey: key,
+      user: user.username,
+      role: user.role,
+      scopes: ROLE_SCOPES[user.role],
+    };
+  }
+  return null;
+}
+
+/**
+ * Re-check a WebSocket's credentials so revoked sessions, deleted users and
+ * role changes apply to connections that are already open
+ * @returns {object|null} Current auth, or null if it is no longer valid
+ */
+function refreshAuth(auth) {
+  if (!auth) return null;
+  if (auth.type === 'session') {
+    const session = getSession(auth.sessionKey);
+    const user = session && userStore.get(session.username);
+    return user ? { ...auth, role: user.role, scopes: ROLE_SCOPES[user.role] } : null;
+  }
+  if (auth.type === 'spectator') {
+    return getSpectatorLink(auth.linkToken) ? auth : null;
+  }
+  if (auth.tokenId) {
+    const info = tokenStore.tokens.get(auth.tokenId);
+    const scopes = info && tokenScopes(info);
+    return scopes ? { ...auth, scopes } : null;
+  }
+  return auth;
+}
+
+// Who did something, for log lines
+function describeAuth(auth) {
+  if (!auth) return 'anonymous';
+  if (auth.type === 'spectator') return `spectator:${auth.linkId}`;
+  return auth.type === 'session' ? auth.user : `token:${auth.name}`;
+}
+
+// Auth middleware for protected API routes (any valid session or token)
+function requireAuth(req, res, next) {
+  const auth = authenticate(req);
+  if (auth) {
+    req.auth = auth;
+    next();
+  } else {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+}
+
+// Scope check for routes that do more than read - use after requireAuth
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.auth?.scopes, scope)) {
+      next();
+    } else {
+      res.status(403).json({ error: `Requires '${scope}' scope` });
+    }
+  };
+}
+
+// API token management (admin only)
+app.get('/api/tokens', requireAuth, requireScope('admin'), (req, res) => {
+  res.json({ tokens: tokenStore.list(), scopes: SCOPES });
+});
+
+app.post('/api/tokens', requireAuth, requireScope('admin'), (req, res) => {
+  const { name, scopes } = req.body || {};
+  if (!Array.isArray(scopes)) {
+    return res.status(400).json({ error: 'scopes must be an array' });
+  }
+  // A token can't grant more than its creator has
+  if (!scopes.every((scope) => hasScope(req.auth.scopes, scope))) {
+    return res.status(403).json({ error: 'Cannot grant scopes you do not have' });
+  }
+  try {
+    const { token, info } = tokenStore.create({ name, scopes, createdBy: req.auth.user || null });
+    console.log(`[Tokens] Created token ${info.id} (${info.name}) with scopes: ${info.scopes.join(', ')}`);
+    audit(req, 'token.create', { tokenId: info.id, name: info.name, scopes: info.scopes });
+    res.status(201).json({ token, info });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', requireAuth, requireScope('admin'), (req, res) => {
+  if (!tokenStore.revoke(req.params.id)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  // Drop any WebSocket still connected with the revoked token
+  for (const client of clients) {
+    if (client.auth?.tokenId === req.params.id) {
+      client.close(4001, 'Token revoked');
+    }
+  }
+  console.log(`[Tokens] Revoked token ${req.params.id}`);
+  audit(req, 'token.revoke', { tokenId: req.params.id });
+  res.json({ success: true });
+});
+
+// User management (owner only)
+app.get('/api/users', requireAuth, requireScope('admin'), (req, res) => {
+  res.json({ users: userStore.list(), roles: Object.keys(ROLE_SCOPES) });
+});
+
+app.post('/api/users', requireAuth, requireScope('admin'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    const user = await userStore.create({ username, password, role });
+    console.log(`[Users] ${describeAuth(req.auth)} created user ${user.username} (${user.role})`);
+    audit(req, 'user.create', { username: user.username, role: user.role });
+    res.status(201).json({ user });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/:username', requireAuth, requireScope('admin'), async (req, res) => {
+  const { role, password, disableTotp } = req.body || {};
+  try {
+    const user = await userStore.update(req.params.username, { role, password, disableTotp });
+    console.log(`[Users] ${describeAuth(req.auth)} updated user ${user.username} (${user.role})`);
+    audit(req, 'user.update', { username: user.username, role: user.role, passwordChanged: password !== undefined, totpReset: disableTotp === true });
+    res.json({ user });
+  } catch (error) {
+    res.status(error.status || (error.message === 'User not found' ? 404 : 400)).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requireAuth, requireScope('admin'), (req, res) => {
+  try {
+    if (!userStore.remove(req.params.username)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  // End the removed user's logins and drop their WebSockets
+  for (const [key, session] of sessions.entries()) {
+    if (session.username === req.params.username) sessions.delete(key);
+  }
+  for (const client of clients) {
+    if (client.auth?.user === req.params.username) {
+      client.close(4001, 'Account removed');
+    }
+  }
+  console.log(`[Users] ${describeAuth(req.auth)} removed user ${req.params.username}`);
+  audit(req, 'user.remove', { username: req.params.username });
+  res.json({ success: true });
+});
+
+// Audit log (owner only)
+// since/until accept epoch milliseconds or anything Date.parse understands
+function parseTime(value) {
+  if (!value) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+// Auto-approval policy. Anyone who can answer prompts can see the rules and
+// switch auto-approval off; turning it on or changing rules needs admin.
+app.get('/api/policy', requireAuth, requireScope('answer'), (req, res) => {
+  res.json({ ...policy.getPolicy(), decisions: policy.getDecisions() });
+});
+
+app.put('/api/policy', requireAuth, requireScope('admin'), (req, res) => {
+  const { enabled, rules } = req.body || {};
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+  try {
+    policy.update({ enabled, rules });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  audit(req, 'policy.update', { enabled: policy.enabled, rules: policy.rules.length });
+  res.json(policy.getPolicy());
+});
+
+app.post('/api/policy/disable', requireAuth, requireScope('answer'), (req, res) => {
+  try {
+    policy.update({ enabled: false });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to save policy' });
+  }
+  console.log(`[Policy] Auto-approval switched off by ${describeAuth(req.auth)}`);
+  audit(req, 'policy.disable');
+  res.json(policy.getPolicy());
+});
+
+// Notification channels (secrets stay in channels.json)
+app.get('/api/channels', requireAuth, requireScope('admin'), (req, res) => {
+  res.json({ channels: channels.list() });
+});
+
+// Send a test notification to one channel (by name) or all of them
+app.post('/api/channels/test', apiLimiter, requireAuth, requireScope('admin'), async (req, res) => {
+  const name = req.body?.name;
+  if (name !== undefined && (typeof name !== 'string' || !channels.has(name))) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  const deliveries = await channels.notify({
+    event: 'test',
+    priority: 'default',
+    only: name || null,
+    summarize: () => ({
+      title: 'Claude Code - Test',
+      body: `Test notification from Claude Code Mobile Controller, sent by ${describeAuth(req.auth)}`,
+    }),
+  });
+  audit(req, 'channels.test', { channel: name || null });
+  res.json({ deliveries });
+});
+
+// What was sent where, and whether it arrived
+app.get('/api/notifications', apiLimiter, requireAuth, requireScope('read'), (req, res) => {
+  res.json({
+    deliveries: channels.getHistory({
+      channel: req.query.channel ? String(req.query.channel) : null,
+      status: req.query.status ? String(req.query.status) : null,
+      sessionId: req.query.session ? String(req.query.session) : null,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+    }),
+  });
+});
+
+app.get('/api/audit', requireAuth, requireScope('admin'), (req, res) => {
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since/until must be a timestamp or ISO date' });
+  }
+  const entries = auditLog.query({
+    since,
+    until,
+    actions: req.query.action ? String(req.query.action).split(',') : null,
+    user: req.query.user ? String(req.query.user) : null,
+    sessionId: req.query.session ? String(req.query.session) : null,
+    limit: req.query.limit,
+  });
+  res.json({ entries });
+});
+
+// Active logins. Everyone sees their own; owners see everyone's.
+function canManageSession(auth, session) {
+  return session.username === auth.user || hasScope(auth.scopes, 'admin');
+}
+
+app.get('/api/sessions', requireAuth, (req, res) => {
+  const list = [];
+  for (const [key, session] of sessions.entries()) {
+    if (isSessionExpired(session) || !canManageSession(req.auth, session)) continue;
+    list.push({
+      id: session.id,
+      username: session.username,
+      userAgent: session.userAgent || null,
+      ip: session.ip || null,
+      created: session.created,
+      lastSeen: session.lastSeen || session.created,
+      current: key === req.auth.sessionKey,
+    });
+  }
+  res.json({ sessions: list.sort((a, b) => b.lastSeen - a.lastSeen) });
+});
+
+app.delete('/api/sessions/:id', requireAuth, (req, res) => {
+  for (const [key, session] of sessions.entries()) {
+    if (session.id === req.params.id && canManageSession(req.auth, session)) {
+      revokeSession(key, 'Session revoked');
+      console.log(`[Auth] ${describeAuth(req.auth)} revoked login ${session.id} of ${session.username}`);
+      audit(req, 'auth.session_revoke', { loginId: session.id, username: session.username });
+      return res.json({ success: true });
+    }
+  }
+  res.status(404).json({ error: 'Session not found' });
+});
+
+// "Log out everywhere": every login of the caller's account, including this one
+// unless { keepCurrent: true } is sent
+app.post('/api/sessions/revoke-all', requireAuth, (req, res) => {
+  const username = req.auth.user;
+  if (!username) {
+    return res.status(400).json({ error: 'This token is not tied to a user account' });
+  }
+  let count = 0;
+  for (const [key, session] of sessions.entries()) {
+    if (session.username !== username) continue;
+    if (req.body?.keepCurrent && key === req.auth.sessionKey) continue;
+    revokeSession(key, 'Logged out everywhere');
+    count++;
+  }
+  console.log(`[Auth] ${describeAuth(req.auth)} ended ${count} login(s)`);
+  audit(req, 'auth.session_revoke_all', { count });
+  res.json({ success: true, revoked: count });
+});
+
+// Two-factor setup for the logged-in user
+// Only password logins have an account to enrol; API tokens are rejected
+function requireUserSession(req, res, next) {
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({ error: 'Log in with a password to manage two-factor authentication' });
+  }
+  next();
+}
+
+app.get('/api/2fa', requireAuth, requireUserSession, (req, res) => {
+  const user = userStore.get(req.auth.user);
+  res.json({ enabled: user.totpEnabled, recoveryCodesLeft: user.recoveryCodesLeft });
+});
+
+app.post('/api/2fa/setup', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = userStore.beginTotpSetup(req.auth.user);
+    const qr = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qr });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.post('/api/2fa/enable', requireAuth, requireUserSession, (req, res) => {
+  try {
+    const recoveryCodes = userStore.enableTotp(req.auth.user, req.body?.code);
+    console.log(`[Auth] ${req.auth.user} enabled two-factor authentication`);
+    audit(req, 'auth.2fa_enable');
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Disabling or regenerating codes needs a current code, so a stolen cookie alone can't do it
+app.post('/api/2fa/disable', requireAuth, requireUserSession, async (req, res) => {
+  if (!userStore.verifySecondFactor(req.auth.user, req.body?.code)) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  try {
+    await userStore.disableTotp(req.auth.user);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  console.log(`[Auth] ${req.auth.user} disabled two-factor authentication`);
+  audit(req, 'auth.2fa_disable');
+  res.json({ success: true });
+});
+
+app.post('/api/2fa/recovery-codes', requireAuth, requireUserSession, (req, res) => {
+  if (!userStore.verifySecondFactor(req.auth.user, req.body?.code)) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  const recoveryCodes = userStore.regenerateRecoveryCodes(req.auth.user);
+  audit(req, 'auth.2fa_recovery_codes');
+  res.json({ recoveryCodes });
+});
+
+// ── Passkeys (WebAuthn) ──────────────────────────────────────────────────────
+// Registration needs a password login. A passkey login replaces both the
+// password and the TOTP step, so user verification (Face ID, fingerprint,
+// PIN) is required.
+const webauthnChallenges = new Map(); // id -> { challenge, username, expires }
+const WEBAUTHN_CHALLENGE_DURATION = 5 * 60 * 1000;
+
+function getRelyingParty(req) {
+  return {
+    rpID: config.webauthn.rpId || req.hostname,
+    origin: config.webauthn.origin || `${req.protocol}://${req.get('host')}`,
+  };
+}
+
+function storeWebauthnChallenge(challenge, username = null) {
+  const now = Date.now();
+  for (const [id, pending] of webauthnChallenges.entries()) {
+    if (now > pending.expires) webauthnChallenges.delete(id);
+  }
+  const id = crypto.randomBytes(16).toString('hex');
+  webauthnChallenges.set(id, { challenge, username, expires: now + WEBAUTHN_CHALLENGE_DURATION });
+  return id;
+}
+
+// Challenges are single use
+function takeWebauthnChallenge(id) {
+  const pending = typeof id === 'string' ? webauthnChallenges.get(id) : null;
+  if (!pending) return null;
+  webauthnChallenges.delete(id);
+  return Date.now() > pending.expires ? null : pending;
+}
+
+app.post('/api/webauthn/register/options', requireAuth, requireUserSession, async (req, res) => {
+  const { rpID } = getRelyingParty(req);
+  const username = req.auth.user;
+  const options = await generateRegistrationOptions({
+    rpName: 'OnClaude',
+    rpID,
+    userName: username,
+    userID: Buffer.from(userStore.getWebauthnId(username), 'base64url'),
+    attestationType: 'none',
+    excludeCredentials: userStore.listPasskeys(username)
+      .map(({ id, transports }) => ({ id, transports })),
+    authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+  });
+  res.json({ options, challengeId: storeWebauthnChallenge(options.challenge, username) });
+});
+
+app.post('/api/webauthn/register/verify', requireAuth, requireUserSession, async (req, res) => {
+  const { challengeId, response, name } = req.body || {};
+  const pending = takeWebauthnChallenge(challengeId);
+  if (!pending || pending.username !== req.auth.user) {
+    return res.status(400).json({ error: 'Registration expired, try again' });
+  }
+
+  const { rpID, origin } = getRelyingParty(req);
+  try {
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: pending.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+    });
+    if (!verified) throw new Error('Passkey could not be verified');
+
+    const { credential } = registrationInfo;
+    const passkey = userStore.addPasskey(req.auth.user, {
+      id: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports,
+      name,
+    });
+    console.log(`[Auth] ${req.auth.user} registered passkey ${passkey.name}`);
+    audit(req, 'auth.passkey_add', { passkeyId: passkey.id, name: passkey.name });
+    res.status(201).json({ passkey });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.get('/api/webauthn/passkeys', requireAuth, requireUserSession, (req, res) => {
+  res.json({ passkeys: userStore.listPasskeys(req.auth.user) });
+});
+
+app.delete('/api/webauthn/passkeys/:id', requireAuth, requireUserSession, (req, res) => {
+  if (!userStore.removePasskey(req.auth.user, req.params.id)) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+  console.log(`[Auth] ${req.auth.user} removed a passkey`);
+  audit(req, 'auth.passkey_remove', { passkeyId: req.params.id });
+  res.json({ success: true });
+});
+
+// Login options don't name a user: the phone offers whichever passkeys it has for this site
+app.post('/api/webauthn/login/options', validateCsrf, async (req, res) => {
+  const { rpID } = getRelyingParty(req);
+  const options = await generateAuthenticationOptions({ rpID, userVerification: 'required' });
+  res.json({ options, challengeId: storeWebauthnChallenge(options.challenge) });
+});
+
+app.post('/api/webauthn/login/verify', loginLimiter, validateCsrf, async (req, res) => {
+  const { challengeId, response } = req.body || {};
+  const pending = takeWebauthnChallenge(challengeId);
+  if (!pending) {
+    return res.status(401).json({ error: 'Login expired, try again' });
+  }
+
+  const found = typeof response?.id === 'string' ? userStore.findPasskey(response.id) : null;
+  if (!found) {
+    audit(req, 'auth.login_failed', { user: null, step: 'passkey' });
+    return res.status(401).json({ error: 'Unknown passkey' });
+  }
+
+  const { rpID, origin } = getRelyingParty(req);
+  try {
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: pending.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: found.passkey.id,
+        publicKey: Buffer.from(found.passkey.publicKey, 'base64url'),
+        counter: found.passkey.counter,
+        transports: found.passkey.transports,
+      },
+      requireUserVerification: true,
+    });
+    if (!verified) throw new Error('Passkey could not be verified');
+
+    userStore.recordPasskeyUse(found.username, found.passkey.id, authenticationInfo.newCounter);
+    completeLogin(req, res, userStore.get(found.username), 'passkey');
+  } catch (error) {
+    console.log(`[Auth] Passkey login failed for user: ${found.username} from ${getClientIp(req)}: ${error.message}`);
+    audit(req, 'auth.login_failed', { user: null, username: found.username, step: 'passkey' });
+    res.status(401).json({ error: 'Passkey could not be verified' });
+  }
+});
+
+// Web Push API endpoints (protected)
+app.get('/api/vapid-public-key', requireAuth, (req, res) => {
+  if (vapidKeys) {
+    res.json({ publicKey: vapidKeys.publicKey });
+  } else {
+    res.status(503).json({ error: 'Web Push not configured' });
+  }
+});
+
+function isPushSubscription(subscription) {
+  return Boolean(subscription) &&
+    typeof subscription.endpoint === 'string' &&
+    subscription.endpoint.length <= 1000 &&
+    subscription.endpoint.startsWith('https://') &&
+    typeof subscription.keys?.p256dh === 'string' &&
+    typeof subscription.keys?.auth === 'string';
+}
+
+// What the account (or token) behind a push subscription may do now; null
+// when it is tied to neither (the API_TOKEN from the environment)
+function pushSubscriberScopes(entry) {
+  if (entry.tokenId) {
+    const info = tokenStore.tokens.get(entry.tokenId);
+    return info ? tokenScopes(info) : null;
+  }
+  const user = entry.username ? userStore.get(entry.username) : null;
+  return user ? ROLE_SCOPES[user.role] : null;
+}
+
+// Everyone manages their own devices; owners manage everyone's
+function canManagePushSubscription(auth, entry) {
+  return (auth.user && entry.username === auth.user) || hasScope(auth.scopes, 'admin');
+}
+
+// Push endpoints are capability URLs and never leave the server
+function describePushSubscription(entry) {
+  return {
+    id: entry.id,
+    username: entry.username,
+    label: entry.label,
+    device: describeEndpoint(entry.subscription.endpoint),
+    created: entry.created,
+    lastSuccessAt: entry.lastSuccessAt,
+    lastError: entry.lastError,
+  };
+}
+
+function findPushSubscription(id) {
+  for (const [endpoint, entry] of pushSubscriptions) {
+    if (entry.id === id) return { endpoint, entry };
+  }
+  return null;
+}
+
+// Subscribe this browser. Body: { subscription, label } (a bare
+// PushSubscription is accepted from older clients)
+app.post('/api/push-subscribe', requireAuth, (req, res) => {
+  const subscription = req.body?.subscription || req.body;
+  if (!isPushSubscription(subscription)) {
+    return res.status(400).json({ error: 'Invalid subscription' });
+  }
+  const label = typeof req.body.label === 'string' && req.body.label.trim()
+    ? req.body.label.trim().slice(0, MAX_DEVICE_LABEL_LENGTH)
+    : describeDevice(req.headers['user-agent']);
+
+  // Make room by dropping the device that has gone longest without a push
+  let evicted = null;
+  if (!pushSubscriptions.has(subscription.endpoint) && pushSubscriptions.size >= MAX_PUSH_SUBSCRIPTIONS) {
+    let oldest = null;
+    for (const [endpoint, entry] of pushSubscriptions) {
+      const lastUsed = entry.lastSuccessAt || entry.created;
+      if (!oldest || lastUsed < oldest.lastUsed) oldest = { endpoint, entry, lastUsed };
+    }
+    pushSubscriptions.delete(oldest.endpoint);
+    evicted = describePushSubscription(oldest.entry);
+    console.log(`[WebPush] Subscription limit reached, removed ${evicted.label} of ${evicted.username || 'unknown user'}`);
+    audit(req, 'push.evict', { subscriptionId: evicted.id, label: evicted.label, owner: evicted.username });
+  }
+
+  const existing = pushSubscriptions.get(subscription.endpoint);
+  const entry = {
+    id: existing?.id || crypto.randomBytes(4).toString('hex'),
+    subscription: {
+      endpoint: subscription.endpoint,
+      expirationTime: subscription.expirationTime || null,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    },
+    username: req.auth.user || null,
+    tokenId: req.auth.tokenId || null,
+    owner: describeAuth(req.auth),
+    label,
+    created: existing?.created || Date.now(),
+    lastSuccessAt: existing?.lastSuccessAt || null,
+    lastError: existing?.lastError || null,
+  };
+  pushSubscriptions.set(subscription.endpoint, entry);
+  if (!existing) {
+    console.log(`[WebPush] ${entry.owner} subscribed ${label} (total: ${pushSubscriptions.size})`);
+    audit(req, 'push.subscribe', { subscriptionId: entry.id, label });
+  }
+  res.json({ success: true, id: entry.id, evicted });
+});
+
+// Unsubscribe this browser (knowing the endpoint is proof enough)
+app.post('/api/push-unsubscribe', requireAuth, (req, res) => {
+  const endpoint = req.body?.endpoint;
+  const entry = typeof endpoint === 'string' ? pushSubscriptions.get(endpoint) : null;
+  if (!entry) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  pushSubscriptions.delete(endpoint);
+  console.log(`[WebPush] ${describeAuth(req.auth)} unsubscribed ${entry.label}`);
+  audit(req, 'push.unsubscribe', { subscriptionId: entry.id, label: entry.label });
+  res.json({ success: true });
+});
+
+app.get('/api/push-subscriptions', requireAuth, (req, res) => {
+  const list = [];
+  for (const entry of pushSubscriptions.values()) {
+    if (!canManagePushSubscription(req.auth, entry)) continue;
+    list.push({ ...describePushSubscription(entry), mine: Boolean(req.auth.user) && entry.username === req.auth.user });
+  }
+  res.json({ subscriptions: list.sort((a, b) => b.created - a.created) });
+});
+
+app.delete('/api/push-subscriptions/:id', requireAuth, (req, res) => {
+  const found = findPushSubscription(req.params.id);
+  if (!found || !canManagePushSubscription(req.auth, found.entry)) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  pushSubscriptions.delete(found.endpoint);
+  console.log(`[WebPush] ${describeAuth(req.auth)} removed ${found.entry.label} of ${found.entry.username || 'unknown user'}`);
+  audit(req, 'push.unsubscribe', { subscriptionId: found.entry.id, label: found.entry.label, owner: found.entry.username });
+  res.json({ success: true });
+});
+
+// Push a test notification to one device and report how it went
+app.post('/api/push-subscriptions/:id/test', apiLimiter, requireAuth, async (req, res) => {
+  const found = findPushSubscription(req.params.id);
+  if (!found || !canManagePushSubscription(req.auth, found.entry)) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  const channel = channels.list().find((info) => info.type === 'webpush');
+  if (!channel) {
+    return res.status(409).json({ error: 'Web Push is turned off in channels.json' });
+  }
+  const [delivery] = await channels.notify({
+    event: 'test',
+    only: channel.name,
+    recipients: [found.endpoint],
+    summarize: () => ({
+      title: 'Claude Code - Test',
+      body: `Test notification for ${found.entry.label}`,
+    }),
+  });
+  const target = delivery.targets?.[0];
+  res.json({
+    success: delivery.status === 'sent',
+    status: target?.status || delivery.status,
+    statusCode: target?.statusCode || null,
+    error: target?.error || delivery.lastError,
+  });
+});
+
+// Basic health check endpoint (for load balancers/Docker - no auth required)
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: Date.now()
+  });
+});
+
+// Detailed health endpoint (protected)
+app.get('/api/health', requireAuth, (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: Date.now(),
+    sessions: sessionManager.list(),
+    notifications: channels.getStats(),
+    clients: clients.size,
+  });
+});
+
+// API endpoint to get current state (protected)
+// Pass ?session=<id> to include that session's buffer and last trigger
+app.get('/api/state', requireAuth, (req, res) => {
+  const session = req.query.session ? sessionManager.get(String(req.query.session)) : null;
+  if (req.query.session && !session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({
+    sessions: sessionManager.list(),
+    ...(session && getSessionState(session)),
+    config: {
+      mockMode: config.mockMode,
+      domain: config.domain,
+    },
+  });
+});
+
+// Transcript listing (protected)
+app.get('/api/transcripts', requireAuth, (req, res) => {
+  if (!transcriptStore) {
+    return res.status(503).json({ error: 'Transcripts not available' });
+  }
+  const sessionId = req.query.session ? String(req.query.session) : null;
+  const transcripts = transcriptStore.list()
+    .filter((t) => !sessionId || t.sessionId === sessionId);
+  res.json({ transcripts });
+});
+
+// Transcript download (protected)
+app.get('/api/transcripts/:name', requireAuth, (req, res) => {
+  const file = transcriptStore?.resolve(req.params.name);
+  if (!file) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+  res.download(file, req.params.name);
+});
+
+// Project picker: the folders in a /workspace directory, with git branch and status
+app.get('/api/projects', apiLimiter, requireAuth, requireScope('control'), async (req, res) => {
+  try {
+    res.json(await projects.list(req.query.path ? String(req.query.path) : ''));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Launch profiles: anyone who can start sessions can use them, owners edit them
+app.get('/api/profiles', apiLimiter, requireAuth, requireScope('control'), (req, res) => {
+  res.json({ profiles: profileStore.list() });
+});
+
+app.post('/api/profiles', apiLimiter, requireAuth, requireScope('admin'), (req, res) => {
+  try {
+    const profile = profileStore.create(req.body || {}, req.auth.user || null);
+    console.log(`[Profiles] ${describeAuth(req.auth)} created profile ${profile.id} (${profile.name})`);
+    audit(req, 'profile.create', { profileId: profile.id, name: profile.name, cwd: profile.cwd, envNames: Object.keys(profile.env) });
+    res.status(201).json({ profile });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/profiles/:id', apiLimiter, requireAuth, requireScope('admin'), (req, res) => {
+  try {
+    const profile = profileStore.update(req.params.id, req.body || {});
+    console.log(`[Profiles] ${describeAuth(req.auth)} updated profile ${profile.id} (${profile.name})`);
+    audit(req, 'profile.update', { profileId: profile.id, name: profile.name, cwd: profile.cwd, envNames: Object.keys(profile.env) });
+    res.json({ profile });
+  } catch (error) {
+    res.status(error.message === 'Profile not found' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/profiles/:id', apiLimiter, requireAuth, requireScope('admin'), (req, res) => {
+  if (!profileStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  console.log(`[Profiles] ${describeAuth(req.auth)} removed profile ${req.params.id}`);
+  audit(req, 'profile.remove', { profileId: req.params.id });
+  res.json({ success: true });
+});
+
+// ── Headless session API ─────────────────────────────────────────────────────
+// Same actions as the WebSocket protocol, for scripts and CI jobs
+
+// Find the session a request refers to; defaults to the only session if there is one
+function resolveSession(id) {
+  if (id) return sessionManager.get(String(id)) || null;
+  const all = Array.from(sessionManager.sessions.values());
+  return all.length === 1 ? all[0] : null;
+}
+
+function requireSession(req, res, next) {
+  const session = resolveSession(req.body?.sessionId || req.query.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  req.claudeSession = session;
+  next();
+}
+
+app.get('/api/session/list', apiLimiter, requireAuth, (req, res) => {
+  res.json({ sessions: sessionManager.list() });
+});
+
+app.post('/api/session/start', apiLimiter, requireAuth, requireScope('control'), (req, res) => {
+  const { sessionId, name, cwd, args, create, profileId } = req.body || {};
+  if (args !== undefined && !Array.isArray(args)) {
+    return res.status(400).json({ error: 'args must be an array' });
+  }
+  try {
+    const session = startClaude({
+      sessionId,
+      name,
+      cwd: cwd ? String(cwd) : '',
+      create: create === true,
+      profileId,
+      args: args || [],
+      startedBy: describeAuth(req.auth),
+    });
+    auditStart(req, session, args);
+    res.status(201).json({ session: session.getInfo() });
+  } catch (error) {
+    audit(req, 'session.start', { sessionId: sessionId || null, requestedArgs: args || [], error: error.message });
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/session/input', apiLimiter, requireAuth, requireScope('answer'), requireSession, (req, res) => {
+  const { data } = req.body;
+  if (typeof data !== 'string' || !data || data.length > 16384) {
+    return res.status(400).json({ error: 'data must be a non-empty string (max 16KB)' });
+  }
+  if (!writeInput(req.claudeSession, data)) {
+    return res.status(409).json({ error: 'Claude is not running in this session' });
+  }
+  audit(req, 'session.input', { sessionId: req.claudeSession.id, input: data });
+  res.json({ success: true });
+});
+
+app.post('/api/session/answer', apiLimiter, requireAuth, requireScope('answer'), requireSession, (req, res) => {
+  const index = Number(req.body.index);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ error: 'index must be a non-negative integer' });
+  }
+  const result = answerPrompt(req.claudeSession, index, describeAuth(req.auth));
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  audit(req, 'session.answer', { sessionId: req.claudeSession.id, index, label: result.option.label });
+  res.json({ success: true, answered: result.option });
+});
+
+// Tapped notification action. The token is the credential: it answers
+// one prompt instance, once, with one of the options it was sent with.
+app.post('/api/notification-answer/:token/:index', apiLimiter, (req, res) => {
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ error: 'index must be a non-negative integer' });
+  }
+  let entry;
+  try {
+    entry = answerTokens.redeem(req.params.token, index);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
 
-// Auth check endpoint
-app.get('/api/auth-check', (req, res) => {
-  const token = getSessionFromRequest(req);
-  if (validateSession(token)) {
-    res.json({ authenticated: true });
-  } else {
-    res.status(401).json({ authenticated: false });
+  const session = sessionManager.get(entry.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (!isPromptOpen(session, entry.promptId)) {
+    console.log(`[Session] Rejected stale notification answer in ${session.id}`);
+    return res.status(409).json({ error: 'This prompt was already answered or has changed' });
   }
+  const result = answerPrompt(session, index, 'notification');
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  audit(req, 'session.answer', {
+    user: 'notification',
+    sessionId: session.id,
+    index,
+    label: result.option.label,
+  });
+  res.json({ success: true, answered: result.option });
 });
 
-// Logout endpoint
-app.post('/api/logout', (req, res) => {
-  const token = getSessionFromRequest(req);
+app.get('/api/session/output', apiLimiter, requireAuth, requireSession, (req, res) => {
+  const since = Math.max(0, parseInt(req.query.since, 10) || 0);
+  const session = req.claudeSession;
+  res.json({
+    sessionId: session.id,
+    ...session.ptyManager.getOutputSince(since),
+    running: session.isRunning(),
+    lastTrigger: session.watcher.getLastTrigger(),
+  });
+});
 
-  if (token) {
-    sessions.delete(token);
-    console.log('[Auth] Session invalidated');
+// The session's terminal as currently rendered (what a terminal attached
+// to the PTY would show), as plain text or JSON
+app.get('/api/screen', apiLimiter, requireAuth, requireSession, (req, res) => {
+  const session = req.claudeSession;
+  if (req.query.format === 'json') {
+    return res.json({
+      sessionId: session.id,
+      ...session.screen.getInfo(),
+      lines: session.screen.getText().split('\n'),
+      running: session.isRunning(),
+    });
   }
+  res.type('text/plain').send(session.screen.getText() + '\n');
+});
 
-  // Clear the session cookie
-  const isProduction = process.env.NODE_ENV === 'production' || process.env.FORCE_SECURE_COOKIES === 'true';
-  res.cookie('session', '', {
-    httpOnly: true,
-    secure: isProduction,
-    sameSite: 'lax',
-    maxAge: 0, // Expire immediately
-  });
+app.post('/api/session/idle-notify', apiLimiter, requireAuth, requireScope('answer'), requireSession, (req, res) => {
+  const { enabled, seconds } = req.body || {};
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+  if (seconds !== undefined &&
+      !(Number.isInteger(seconds) && seconds >= MIN_IDLE_SECONDS && seconds <= MAX_IDLE_SECONDS)) {
+    return res.status(400).json({ error: `seconds must be an integer from ${MIN_IDLE_SECONDS} to ${MAX_IDLE_SECONDS}` });
+  }
+  req.claudeSession.setIdleNotify({ enabled, seconds });
+  broadcastSessions();
+  res.json({ sessionId: req.claudeSession.id, idleNotify: req.claudeSession.idleNotify });
+});
 
+app.post('/api/session/stop', apiLimiter, requireAuth, requireScope('control'), requireSession, (req, res) => {
+  const session = req.claudeSession;
+  if (!session.isRunning()) {
+    return res.status(409).json({ error: 'Claude is not running in this session' });
+  }
+  session.stopRequested = true;
+  session.ptyManager.kill();
+  console.log(`[Session] ${describeAuth(req.auth)} stopped ${session.id}`);
+  audit(req, 'session.stop', { sessionId: session.id });
   res.json({ success: true });
 });
 
-// Auth middleware for protected API routes
-function requireAuth(req, res, next) {
-  const token = getSessionFromRequest(req);
-  if (validateSession(token)) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Unauthorized' });
+// ── Spectator links ──────────────────────────────────────────────────────────
+// Time-limited, read-only links to watch one session without an account
+const spectatorLinks = new Map(); // token -> { id, sessionId, expires, createdBy }
+const SPECTATOR_DEFAULT_MINUTES = 60;
+const SPECTATOR_MAX_MINUTES = 24 * 60;
+
+function getSpectatorLink(token) {
+  const link = token ? spectatorLinks.get(token) : null;
+  if (!link) return null;
+  if (Date.now() > link.expires || !sessionManager.get(link.sessionId)) {
+    spectatorLinks.delete(token);
+    return null;
   }
+  return link;
 }
 
-// Web Push API endpoints (protected)
-app.get('/api/vapid-public-key', requireAuth, (req, res) => {
-  if (vapidKeys) {
-    res.json({ publicKey: vapidKeys.publicKey });
-  } else {
-    res.status(503).json({ error: 'Web Push not configured' });
+// Close spectator sockets whose link is gone
+function closeSpectators(predicate, reason) {
+  for (const client of clients) {
+    if (client.auth?.type === 'spectator' && predicate(client.auth)) {
+      client.close(4001, reason);
+    }
   }
-});
+}
 
-app.post('/api/push-subscribe', requireAuth, (req, res) => {
-  const subscription = req.body;
-  if (subscription && subscription.endpoint) {
-    // Limit max subscriptions to prevent memory leak
-    if (pushSubscriptions.size >= MAX_PUSH_SUBSCRIPTIONS) {
-      // Remove oldest (first) entry
-      const oldest = pushSubscriptions.values().next().value;
-      pushSubscriptions.delete(oldest);
-    }
-    pushSubscriptions.add(subscription);
-    console.log(`[WebPush] New subscription (total: ${pushSubscriptions.size})`);
-    res.json({ success: true });
-  } else {
-    res.status(400).json({ error: 'Invalid subscription' });
+// Expire spectator links every minute
+setInterval(() => {
+  for (const token of spectatorLinks.keys()) {
+    getSpectatorLink(token);
   }
-});
+  closeSpectators((auth) => !spectatorLinks.has(auth.linkToken), 'Link expired');
+}, 60 * 1000);
 
-// Basic health check endpoint (for load balancers/Docker - no auth required)
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: Date.now()
+app.post('/api/spectator-links', requireAuth, requireScope('control'), (req, res) => {
+  const session = resolveSession(req.body?.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const minutes = Math.min(
+    Math.max(parseInt(req.body.minutes, 10) || SPECTATOR_DEFAULT_MINUTES, 1),
+    SPECTATOR_MAX_MINUTES
+  );
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const link = {
+    id: crypto.randomBytes(4).toString('hex'),
+    sessionId: session.id,
+    expires: Date.now() + minutes * 60 * 1000,
+    createdBy: describeAuth(req.auth),
+  };
+  spectatorLinks.set(token, link);
+  console.log(`[Spectate] ${link.createdBy} shared session ${session.id} for ${minutes} min (link ${link.id})`);
+  audit(req, 'spectator.create', { sessionId: session.id, linkId: link.id, minutes });
+
+  res.status(201).json({
+    ...link,
+    url: `${req.protocol}://${req.get('host')}/?spectate=${token}`,
   });
 });
 
-// Detailed health endpoint (protected)
-app.get('/api/health', requireAuth, (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: Date.now(),
-    pty: ptyManager.getState(),
-    notifications: notifier.getStats(),
-    clients: clients.size,
-  });
+app.get('/api/spectator-links', requireAuth, requireScope('control'), (req, res) => {
+  const links = [];
+  for (const token of spectatorLinks.keys()) {
+    const link = getSpectatorLink(token);
+    if (link) links.push(link);
+  }
+  res.json({ links });
 });
 
-// API endpoint to get current state (protected)
-app.get('/api/state', requireAuth, (req, res) => {
-  res.json({
-    pty: ptyManager.getState(),
-    buffer: ptyManager.getBuffer(),
-    lastTrigger: watcher.getLastTrigger(),
-    config: {
-      mockMode: config.mockMode,
-      domain: config.domain,
-    },
-  });
+app.delete('/api/spectator-links/:id', requireAuth, requireScope('control'), (req, res) => {
+  for (const [token, link] of spectatorLinks.entries()) {
+    if (link.id === req.params.id) {
+      spectatorLinks.delete(token);
+      closeSpectators((auth) => auth.linkToken === token, 'Link revoked');
+      console.log(`[Spectate] ${describeAuth(req.auth)} revoked link ${link.id}`);
+      audit(req, 'spectator.revoke', { sessionId: link.sessionId, linkId: link.id });
+      return res.json({ success: true });
+    }
+  }
+  res.status(404).json({ error: 'Link not found' });
 });
 
 // WebSocket abuse tracking
-const bannedIps = new Map(); // IP -> ban expiry timestamp
+const bannedIps = store.map('banned-ips', { // IP -> ban expiry timestamp
+  isExpired: (expiry) => Date.now() > expiry,
+});
 const MAX_VIOLATIONS = 3; // Disconnect after this many violations
 const BAN_DURATION = 24 * 60 * 60 * 1000; // 24 hour ban for severe abuse
 
@@ -497,6 +1806,11 @@ setInterval(() => {
       console.log(`[WS] Ban expired for IP: ${ip}`);
     }
   }
+  for (const [ip, timestamps] of wsConnections.entries()) {
+    if (!timestamps.some((t) => now - t < WS_WINDOW)) {
+      wsConnections.delete(ip);
+    }
+  }
 }, 60 * 1000);
 
 // Get real client IP (supports reverse proxy)
@@ -519,13 +1833,18 @@ wss.on('connection', (ws, req) => {
     ws.close(4403, 'Temporarily banned');
     return;
   }
-  // Check for valid session token
-  const token = getSessionFromRequest(req);
-  if (!validateSession(token)) {
-    console.log('[WS] Rejected - no valid session');
+  // Check for valid session cookie, API token or spectator link
+  const spectateToken = new URL(req.url, 'http://localhost').searchParams.get('spectate');
+  const auth = spectateToken
+    ? authenticateSpectator(spectateToken)
+    : authenticate(req, { allowQuery: true });
+  if (!auth) {
+    console.log('[WS] Rejected - no valid session, token or spectator link');
     ws.close(4001, 'Unauthorized');
     return;
   }
+  ws.auth = auth;
+  ws.ip = ip;
 
   // WebSocket rate limiting (ip already declared above)
   const now = Date.now();
@@ -538,22 +1857,29 @@ wss.on('connection', (ws, req) => {
   connections.push(now);
   wsConnections.set(ip, connections);
 
-  console.log('[WS] Client connected');
+  console.log(`[WS] Client connected (${describeAuth(auth)})`);
   clients.add(ws);
 
+  // Identify this connection for the controller lock
+  ws.clientId = crypto.randomBytes(4).toString('hex');
+  ws.label = `${describeAuth(auth)} (${describeDevice(req.headers['user-agent'])})`;
+  ws.send(JSON.stringify({ type: 'hello', clientId: ws.clientId }));
+
   // Initialize violation tracking
   ws.violations = 0;
   ws.messageTimestamps = [];
 
-  // Send current state to new client
-  ws.send(
-    JSON.stringify({
-      type: 'state',
-      pty: ptyManager.getState(),
-      buffer: ptyManager.getBuffer(),
-      lastTrigger: watcher.getLastTrigger(),
-    })
-  );
+  // Not attached to any Claude session until the client sends 'attach' or 'start'
+  ws.sessionId = null;
+
+  if (auth.type === 'spectator') {
+    // Spectators are pinned to the shared session and never see the session list
+    setClientSession(ws, auth.sessionId);
+    ws.send(JSON.stringify(getSessionState(sessionManager.get(auth.sessionId))));
+  } else {
+    // Send session list so the client can pick one to attach to
+    ws.send(JSON.stringify({ type: 'sessions', sessions: sessionManager.list() }));
+  }
 
   // WebSocket message rate limiting config
   const MESSAGE_RATE_LIMIT = 10; // messages per second
@@ -581,6 +1907,7 @@ wss.on('connection', (ws, req) => {
         // Ban the IP
         bannedIps.set(ip, Date.now() + BAN_DURATION);
         console.log(`[WS] IP banned for abuse: ${ip}`);
+        audit(ws, 'ws.ban', { until: new Date(bannedIps.get(ip)).toISOString() });
         ws.close(4429, 'Rate limit exceeded - temporarily banned');
         return;
       }
@@ -599,60 +1926,289 @@ wss.on('connection', (ws, req) => {
   ws.on('close', () => {
     console.log('[WS] Client disconnected');
     clients.delete(ws);
+    setClientSession(ws, null);
   });
 
   ws.on('error', (error) => {
     console.error('[WS] Error:', error.message);
     clients.delete(ws);
+    setClientSession(ws, null);
   });
 });
 
+/**
+ * Auth for a WebSocket opened with ?spectate=<token>: read-only, one session
+ */
+function authenticateSpectator(token) {
+  const link = getSpectatorLink(token);
+  if (!link) return null;
+  return {
+    type: 'spectator',
+    linkToken: token,
+    linkId: link.id,
+    sessionId: link.sessionId,
+    scopes: ['read'],
+  };
+}
+
+// Short device name from a User-Agent, for "who has control" labels
+function describeDevice(userAgent = '') {
+  const devices = [
+    [/iPhone/, 'iPhone'], [/iPad/, 'iPad'], [/Android/, 'Android'],
+    [/Macintosh/, 'Mac'], [/Windows/, 'Windows'], [/Linux/, 'Linux'],
+  ];
+  const match = devices.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : 'unknown device';
+}
+
+/**
+ * Attach a client to a session (or detach with null) and update viewer
+ * counts and the controller lock of both sessions involved
+ */
+function setClientSession(ws, sessionId) {
+  const previous = ws.sessionId;
+  ws.sessionId = sessionId;
+
+  if (previous && previous !== sessionId) {
+    const session = sessionManager.get(previous);
+    if (session?.controller?.clientId === ws.clientId) {
+      setController(session, null);
+    }
+    broadcastViewers(previous);
+  }
+
+  if (sessionId) {
+    const session = sessionManager.get(sessionId);
+    // The first device that can type gets control
+    if (session && !session.controller && hasScope(ws.auth?.scopes, 'answer')) {
+      setController(session, ws);
+    }
+    broadcastViewers(sessionId);
+  }
+}
+
+/**
+ * Hand a session's input and sizing lock to a client (or release it with null)
+ */
+function setController(session, ws) {
+  session.controller = ws ? { clientId: ws.clientId, label: ws.label } : null;
+  broadcastToSession(session, { type: 'control', ...getControlState(session) });
+  if (ws) {
+    console.log(`[Session] ${ws.label} has control of ${session.id}`);
+  }
+}
+
+function getControlState(session) {
+  return {
+    controllerId: session.controller?.clientId || null,
+    controllerLabel: session.controller?.label || null,
+  };
+}
+
+/**
+ * Check the controller lock for a client that wants to type or resize.
+ * An unclaimed lock is taken by the first client to use it.
+ * @returns {boolean} Whether the client holds control
+ */
+function claimControl(session, ws) {
+  if (!session.controller) {
+    setController(session, ws);
+    return true;
+  }
+  return session.controller.clientId === ws.clientId;
+}
+
+/**
+ * Tell a session's clients how many people are watching it
+ */
+function broadcastViewers(sessionId) {
+  const session = sessionManager.get(sessionId);
+  if (!session) return;
+
+  let viewers = 0;
+  let spectators = 0;
+  for (const client of clients) {
+    if (client.sessionId !== sessionId) continue;
+    viewers++;
+    if (client.auth?.type === 'spectator') spectators++;
+  }
+  broadcastToSession(session, { type: 'viewers', viewers, spectators });
+}
+
+/**
+ * Build the state message for a session (or for "no session attached")
+ */
+function getSessionState(session) {
+  if (!session) {
+    return { type: 'state', sessionId: null, session: null, pty: null, buffer: '', lastTrigger: null };
+  }
+  return {
+    type: 'state',
+    sessionId: session.id,
+    session: session.getInfo(),
+    pty: session.ptyManager.getState(),
+    buffer: session.ptyManager.getBuffer(),
+    lastTrigger: session.watcher.getLastTrigger(),
+    control: getControlState(session),
+  };
+}
+
+// Scope needed for each client message type
+const MESSAGE_SCOPES = {
+  start: 'control',
+  stop: 'control',
+  close: 'control',
+  input: 'answer',
+  answer: 'answer',
+  resize: 'answer',
+  takeControl: 'answer',
+  setIdleNotify: 'answer',
+  attach: 'read',
+  detach: 'read',
+  listSessions: 'read',
+  getState: 'read',
+};
+
+// Upper bound for client-requested terminal sizes; the server keeps a
+// rendered copy of every session's screen
+const MAX_TERMINAL_COLS = 500;
+const MAX_TERMINAL_ROWS = 200;
+
+function isTerminalSize(cols, rows) {
+  return Number.isInteger(cols) && Number.isInteger(rows) &&
+    cols > 0 && cols <= MAX_TERMINAL_COLS && rows > 0 && rows <= MAX_TERMINAL_ROWS;
+}
+
 /**
  * Handle messages from WebSocket clients
  */
 function handleClientMessage(ws, data) {
+  ws.auth = refreshAuth(ws.auth);
+  if (!ws.auth) {
+    ws.close(4001, 'Unauthorized');
+    return;
+  }
+
+  // Spectators can only ask for a state refresh of their shared session
+  const scope = MESSAGE_SCOPES[data.type];
+  const spectatorBlocked = ws.auth.type === 'spectator' && data.type !== 'getState';
+  if (spectatorBlocked || (scope && !hasScope(ws.auth.scopes, scope))) {
+    const why = spectatorBlocked ? 'read-only spectator' : `missing '${scope}' scope`;
+    console.log(`[WS] Rejected ${data.type} from ${describeAuth(ws.auth)} - ${why}`);
+    ws.send(JSON.stringify({ type: 'error', message: `Not permitted: ${data.type}` }));
+    return;
+  }
+
+  // Messages that act on a session use the one this client is attached to
+  const session = ws.sessionId ? sessionManager.get(ws.sessionId) : null;
+
   switch (data.type) {
     case 'start':
-      startClaude(data.args || [], data.cwd || '');
+      try {
+        const started = startClaude({
+          sessionId: data.sessionId,
+          name: data.name,
+          args: data.args || [],
+          cwd: data.cwd || '',
+          create: data.create === true,
+          profileId: data.profileId,
+          startedBy: describeAuth(ws.auth),
+        }, ws);
+        auditStart(ws, started, data.args);
+      } catch (error) {
+        audit(ws, 'session.start', { sessionId: data.sessionId || null, requestedArgs: data.args || [], error: error.message });
+        ws.send(JSON.stringify({ type: 'error', message: error.message }));
+      }
+      break;
+
+    case 'attach': {
+      const target = sessionManager.get(String(data.sessionId));
+      setClientSession(ws, target ? target.id : null);
+      ws.send(JSON.stringify(getSessionState(target)));
+      break;
+    }
+
+    case 'detach':
+      setClientSession(ws, null);
+      ws.send(JSON.stringify(getSessionState(null)));
+      break;
+
+    case 'listSessions':
+      ws.send(JSON.stringify({ type: 'sessions', sessions: sessionManager.list() }));
+      break;
+
+    case 'close': {
+      const target = sessionManager.get(String(data.sessionId));
+      if (target) {
+        sessionManager.remove(target.id);
+        console.log(`[Session] ${describeAuth(ws.auth)} closed ${target.id} (${target.name})`);
+        audit(ws, 'session.close', { sessionId: target.id, name: target.name });
+      }
       break;
+    }
 
     case 'input':
-      console.log('[WS] Input received, length:', data.data?.length || 0);
-      if (ptyManager.isRunning()) {
-        console.log('[PTY] Writing to PTY, length:', data.data?.length || 0);
-        ptyManager.write(data.data);
-        // Reset watcher when user sends Enter (submitted input)
-        if (data.data === '\r' || data.data.includes('\r')) {
-          watcher.reset();
-          // Tell clients to hide options
-          broadcast({ type: 'hideOptions' });
-        }
-        // Reset notification debounce on user input
-        notifier.resetDebounce();
-      } else {
+      console.log(`[WS] Input received from ${describeAuth(ws.auth)}, length:`, data.data?.length || 0);
+      if (session && !claimControl(session, ws)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Another device has control' }));
+        break;
+      }
+      if (!session || typeof data.data !== 'string' || !writeInput(session, data.data)) {
         console.log('[PTY] Not running, ignoring input');
+        break;
+      }
+      audit(ws, 'session.input', { sessionId: session.id, input: data.data });
+      break;
+
+    case 'answer': {
+      let result;
+      if (!session) {
+        result = { error: 'Not attached to a session' };
+      } else if (!claimControl(session, ws)) {
+        result = { error: 'Another device has control' };
+      } else {
+        result = answerPrompt(session, Number(data.index), describeAuth(ws.auth));
+      }
+      if (result.error) {
+        ws.send(JSON.stringify({ type: 'error', message: result.error }));
+      } else {
+        audit(ws, 'session.answer', { sessionId: session.id, index: Number(data.index), label: result.option.label });
       }
       break;
+    }
 
     case 'resize':
-      if (data.cols && data.rows) {
-        ptyManager.resize(data.cols, data.rows);
+      // Only the controlling device sets the terminal size
+      if (session && isTerminalSize(data.cols, data.rows) && claimControl(session, ws)) {
+        session.resize(data.cols, data.rows);
+      }
+      break;
+
+    case 'takeControl':
+      if (session) {
+        setController(session, ws);
+        audit(ws, 'session.take_control', { sessionId: session.id });
+      }
+      break;
+
+    case 'setIdleNotify':
+      if (session) {
+        session.setIdleNotify({ enabled: data.enabled, seconds: data.seconds });
+        broadcastSessions();
       }
       break;
 
     case 'stop':
-      ptyManager.kill();
+      if (session) {
+        session.stopRequested = true;
+        session.ptyManager.kill();
+        console.log(`[Session] ${describeAuth(ws.auth)} stopped ${session.id}`);
+        audit(ws, 'session.stop', { sessionId: session.id });
+      }
       break;
 
     case 'getState':
-      ws.send(
-        JSON.stringify({
-          type: 'state',
-          pty: ptyManager.getState(),
-          buffer: ptyManager.getBuffer(),
-          lastTrigger: watcher.getLastTrigger(),
-        })
-      );
+      ws.send(JSON.stringify(getSessionState(session)));
       break;
 
     default:
@@ -660,6 +2216,123 @@ function handleClientMessage(ws, data) {
   }
 }
 
+/**
+ * Write user input to a session's PTY (or the mock sequence in mock mode)
+ * @returns {boolean} false if Claude is not running in the session
+ */
+function writeInput(session, data) {
+  if (config.mockMode && session.mockInputHandler) {
+    session.mockInputHandler(data);
+    broadcastOutput(session, data);
+    return true;
+  }
+
+  if (!session.isRunning()) return false;
+
+  console.log('[PTY] Writing to PTY, length:', data.length);
+  session.ptyManager.write(data);
+  // Reset watcher when user sends Enter (submitted input)
+  if (data.includes('\r')) {
+    session.watcher.reset();
+    // Tell clients to hide options
+    broadcastToSession(session, { type: 'hideOptions' });
+  }
+  // Reset notification debounce on user input
+  channels.resetDebounce();
+  return true;
+}
+
+/**
+ * Choose one of the options parsed from the current prompt, the same way
+ * the option buttons do: send its value, then Enter
+ * @returns {object} { option } on success, { error } otherwise
+ */
+function answerPrompt(session, index, actor = 'unknown') {
+  if (!session.isRunning() && !session.mockInputHandler) {
+    return { error: 'Claude is not running in this session' };
+  }
+
+  const trigger = session.watcher.getLastTrigger();
+  const option = trigger?.options?.[index];
+  if (!option) {
+    return { error: trigger ? 'No such option' : 'No prompt is waiting for an answer' };
+  }
+
+  if (option.value) writeInput(session, option.value);
+  // Give Claude's menu a moment to register the choice before confirming
+  setTimeout(() => writeInput(session, '\r'), option.value ? 100 : 0);
+  console.log(`[Session] ${actor} answered prompt in ${session.id} with option ${index} (${option.label})`);
+  return { option };
+}
+
+// ntfy action buttons and Web Push actions can't carry a login, so each
+// notified prompt gets a one-time token bound to that showing of the prompt
+const answerTokens = new AnswerTokens({ ttlMinutes: 60 });
+
+/**
+ * Answer buttons for a prompt notification, sharing one answer token
+ * @returns {object[]} [{ index, label, path, url }]
+ */
+function notificationActions(session, trigger) {
+  const actions = summarizeActions(trigger);
+  if (actions.length === 0 || !trigger.promptId) return [];
+
+  const token = answerTokens.issue({
+    sessionId: session.id,
+    promptId: trigger.promptId,
+    indexes: actions.map((action) => action.index),
+  });
+  return actions.map((action) => {
+    const answerPath = `/api/notification-answer/${token}/${action.index}`;
+    return { ...action, path: answerPath, url: `https://${config.domain}${answerPath}` };
+  });
+}
+
+/**
+ * Answer a permission prompt from the policy rules
+ * @returns {boolean} Whether the prompt was answered
+ */
+function applyPolicy(session, result) {
+  if (result.kind !== 'permission' || !result.permission) return false;
+
+  const { tool, command, description, path: filePath, url, ambiguous, actions } = result.permission;
+  const decision = policy.evaluate({ tool, command, description, path: filePath, url, ambiguous, cwd: session.cwd });
+  if (!decision) return false;
+
+  const entry = {
+    sessionId: session.id,
+    tool,
+    command,
+    path: filePath,
+    url,
+    action: decision.action,
+    ruleIndex: decision.ruleIndex,
+  };
+  const index = actions[decision.action];
+  const answered = decision.action !== 'ask' && index !== null && index !== undefined;
+  if (!answered) entry.action = 'ask';
+
+  policy.recordDecision(entry);
+  auditLog.record({
+    action: `policy.${entry.action}`,
+    user: 'policy',
+    via: 'policy',
+    sessionId: session.id,
+    details: { tool, command, path: filePath, url, rule: decision.ruleIndex },
+  });
+  console.log(`[Policy] ${entry.action} ${tool || 'tool'} ${command || filePath || url || ''} in ${session.id} (rule ${decision.ruleIndex + 1})`);
+  broadcastToSession(session, { type: 'policyDecision', decision: entry });
+
+  if (!answered) return false;
+  // Answer once the watcher has finished with this chunk of output, unless
+  // the prompt was answered or replaced in the meantime
+  const { promptId } = result;
+  setImmediate(() => {
+    if (isPromptOpen(session, promptId)) answerPrompt(session, index, 'policy');
+  });
+  return true;
+}
+
 /**
  * Start Claude Code process
  */
@@ -769,69 +2442,158 @@ function validateArgs(args) {
   return validated;
 }
 
-function startClaude(extraArgs = [], customCwd = '') {
-  if (ptyManager.isRunning()) {
-    broadcast({ type: 'error', message: 'Claude Code is already running' });
-    return;
+/**
+ * Start Claude in a new session, or restart a stopped one when sessionId is given.
+ * The requesting client (if any) is attached to the session before 'started' goes out.
+ * The cwd must exist under /workspace unless create is set. A launch profile
+ * supplies the folder, name, args, model, env and initial prompt; cwd, name
+ * and args given here take precedence (args are added after the profile's).
+ * A restart without a profileId reuses the session's profile, but doesn't
+ * type its initial prompt again.
+ * @returns {ClaudeSession}
+ * @throws {Error} If the session is already running or cannot be started
+ */
+function startClaude({ sessionId, name, args: extraArgs = [], cwd: customCwd = '', create = false, profileId, startedBy = 'unknown' } = {}, ws = null) {
+  let session = sessionId ? sessionManager.get(String(sessionId)) : null;
+  if (sessionId && !session) {
+    throw new Error('Session not found');
+  }
+  if (session?.isRunning()) {
+    throw new Error('Claude Code is already running in this session');
   }
 
-  watcher.reset();
+  // A profile deleted since the session started just isn't reused
+  const profile = profileStore.get(profileId ? String(profileId) : session?.profileId);
+  if (profileId && !profile) {
+    throw new Error('Profile not found');
+  }
 
-  const validatedArgs = validateArgs(extraArgs);
+  const validatedArgs = validateArgs([
+    ...(profile?.args || []),
+    ...(profile?.model ? ['--model', profile.model] : []),
+    ...(Array.isArray(extraArgs) ? extraArgs : []),
+  ]);
   const args = [...config.claude.opts, ...validatedArgs].filter(Boolean);
 
-  // Build working directory path, ensuring it stays within /workspace
-  let cwd = '/workspace';
-  if (customCwd) {
-    const resolved = path.resolve('/workspace', customCwd);
-    const normalized = path.normalize(resolved);
-    if (normalized === '/workspace' || normalized.startsWith('/workspace/')) {
-      cwd = normalized;
-    }
-    // Otherwise ignore and use default /workspace
+  // A start refused at the session limit mustn't leave a new folder behind
+  if (!session) sessionManager.checkLimit();
+
+  // The working directory must stay within /workspace (symlinks included).
+  // A restart without a cwd reuses the session's previous directory.
+  let cwd;
+  try {
+    cwd = projects.resolve(customCwd || profile?.cwd || session?.cwd || '', { create });
+  } catch (error) {
+    if (error.status) throw error;
+    console.error(`[Claude] Failed to create directory: ${error.message}`);
+    throw new Error(`Failed to create directory: ${error.message}`);
   }
 
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(cwd)) {
-    try {
-      fs.mkdirSync(cwd, { recursive: true });
-      console.log(`[Claude] Created directory: ${cwd}`);
-    } catch (err) {
-      console.error(`[Claude] Failed to create directory: ${err.message}`);
-      broadcast({ type: 'error', message: `Failed to create directory: ${err.message}` });
-      return;
-    }
+  if (session) {
+    session.cwd = cwd;
+    session.args = validatedArgs;
+  } else {
+    session = sessionManager.create({ name: name || profile?.name, cwd, args: validatedArgs });
   }
+  session.profileId = profile?.id || null;
+
+  session.watcher.clear();
+  session.themeSent = false;
+  session.lastStarted = Date.now();
+  session.startedBy = startedBy;
+  if (ws) setClientSession(ws, session.id);
 
   if (config.mockMode) {
-    startMockMode();
-    return;
+    openTranscript(session);
+    startMockMode(session);
+    broadcastSessions();
+    return session;
   }
 
   try {
-    ptyManager.spawn(config.claude.command, args, {
+    session.ptyManager.spawn(config.claude.command, args, {
       cwd,
       env: {
         HOME: '/home/node_user',
         ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+        ...profile?.env,
         TERM: 'xterm-256color',
       },
     });
-
-    broadcast({ type: 'started', args, cwd });
-    console.log(`[Claude] Started in ${cwd} with args: ${args.join(' ') || '(none)'}`);
   } catch (error) {
     console.error('[Claude] Failed to start:', error.message);
-    broadcast({ type: 'error', message: `Failed to start: ${error.message}` });
+    broadcastSessions();
+    throw new Error(`Failed to start: ${error.message}`);
   }
+
+  openTranscript(session);
+  if (profileId && profile.initialPrompt) typeInitialPrompt(session, profile.initialPrompt);
+  broadcastToSession(session, { type: 'started', session: session.getInfo(), args, cwd });
+  broadcastSessions();
+  console.log(`[Claude] ${startedBy} started session ${session.id} in ${cwd}` +
+    `${profile ? ` from profile ${profile.name}` : ''} with args: ${args.join(' ') || '(none)'}`);
+  return session;
+}
+
+/**
+ * Audit a successful start with the requested args and those that passed validateArgs
+ */
+function auditStart(source, session, requestedArgs) {
+  audit(source, 'session.start', {
+    sessionId: session.id,
+    name: session.name,
+    cwd: session.cwd,
+    requestedArgs: Array.isArray(requestedArgs) ? requestedArgs.map(String) : [],
+    args: session.args,
+    profileId: session.profileId,
+  });
+}
+
+// How long a profile's initial prompt waits for Claude's input box
+const INITIAL_PROMPT_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Type a launch profile's initial prompt once Claude shows its input box
+ * (after any question it asks first, such as trusting the folder, is answered)
+ */
+function typeInitialPrompt(session, text) {
+  const run = session.lastStarted;
+  const deadline = Date.now() + INITIAL_PROMPT_TIMEOUT_MS;
+  const timer = setInterval(() => {
+    if (session.lastStarted !== run || !session.isRunning()) {
+      clearInterval(timer);
+      return;
+    }
+    if (Date.now() > deadline) {
+      clearInterval(timer);
+      console.log(`[Claude] Gave up typing the initial prompt in session ${session.id}: input box never appeared`);
+      return;
+    }
+    const watcher = session.watcher;
+    if (watcher.pendingWrites > 0 || watcher.lastTrigger || !findInputBox(watcher.getBuffer())) return;
+
+    clearInterval(timer);
+    writeInput(session, text);
+    setTimeout(() => writeInput(session, '\r'), 100);
+    console.log(`[Claude] Typed the initial prompt in session ${session.id}, length: ${text.length}`);
+  }, 500);
+  timer.unref();
+}
+
+/**
+ * Start a fresh on-disk transcript for a session's new run
+ */
+function openTranscript(session) {
+  session.transcript?.close();
+  session.transcript = transcriptStore ? transcriptStore.open(session) : null;
 }
 
 /**
  * Mock mode for testing without Claude Code
  */
-function startMockMode() {
-  console.log('[Mock] Starting mock mode');
-  broadcast({ type: 'started', args: ['--mock'] });
+function startMockMode(session) {
+  console.log(`[Mock] Starting mock mode in session ${session.id}`);
+  broadcastToSession(session, { type: 'started', session: session.getInfo(), args: ['--mock'] });
 
   const mockSequence = [
     { delay: 500, text: 'Welcome to Claude Code (Mock Mode)\r\n' },
@@ -867,110 +2629,148 @@ function startMockMode() {
     },
   ];
 
-  runMockSequence(mockSequence);
+  runMockSequence(session, mockSequence);
 }
 
-let mockInputHandler = null;
-
-function runMockSequence(sequence, index = 0) {
+function runMockSequence(session, sequence, index = 0) {
   if (index >= sequence.length) return;
 
   const item = sequence[index];
 
   if (item.waitForInput) {
-    mockInputHandler = (input) => {
-      mockInputHandler = null;
+    session.mockInputHandler = (input) => {
+      session.mockInputHandler = null;
       const nextSequence = item.onInput(input);
       if (nextSequence) {
-        runMockSequence(nextSequence);
+        runMockSequence(session, nextSequence);
       }
     };
     return;
   }
 
   setTimeout(() => {
-    broadcastOutput(item.text);
-    runMockSequence(sequence, index + 1);
+    // Session may have been closed while the sequence was running
+    if (!sessionManager.get(session.id)) return;
+    broadcastOutput(session, item.text);
+    runMockSequence(session, sequence, index + 1);
   }, item.delay);
 }
 
 /**
- * Broadcast output to all clients
+ * Broadcast output to the clients attached to a session
  */
-function broadcastOutput(data) {
-  // Process through watcher
-  const triggerResult = watcher.process(data);
+function broadcastOutput(session, data) {
+  session.transcript?.write(data);
 
-  // Send raw output
-  broadcast({ type: 'output', data });
+  // Render on the session's screen; detected prompts arrive via onTrigger
+  session.watcher.process(data);
 
-  // Send options if detected
-  if (triggerResult) {
-    broadcast(triggerResult);
-  }
+  // Send raw output
+  broadcastToSession(session, { type: 'output', data });
 }
 
 /**
- * Broadcast a message to all connected clients
+ * Broadcast a message to all connected clients (optionally only those matching filter)
  */
-function broadcast(message) {
+function broadcast(message, filter = () => true) {
   const data = JSON.stringify(message);
   for (const client of clients) {
-    if (client.readyState === 1) {
+    if (client.readyState === 1 && filter(client)) {
       // WebSocket.OPEN
       client.send(data);
     }
   }
 }
 
-// PTY event handlers
-let themeSent = false;
+/**
+ * Broadcast a message to the clients attached to a session.
+ * The session id is added so clients can drop messages that raced a detach.
+ */
+function broadcastToSession(session, message) {
+  const data = JSON.stringify({ ...message, sessionId: session.id });
+  for (const client of clients) {
+    if (client.readyState === 1 && client.sessionId === session.id) {
+      client.send(data);
+    }
+  }
+}
+
+/**
+ * Send the session list to every client (for the session picker).
+ * Spectators only know about their shared session, so they are skipped.
+ */
+function broadcastSessions() {
+  broadcast(
+    { type: 'sessions', sessions: sessionManager.list() },
+    (client) => client.auth?.type !== 'spectator'
+  );
+}
 
-ptyManager.on('data', (data) => {
-  console.log('[PTY] Output:', data.substring(0, 100).replace(/\n/g, '\\n'));
-  broadcastOutput(data);
+// PTY event handlers
+sessionManager.on('data', (session, data) => {
+  console.log(`[PTY:${session.id}] Output:`, data.substring(0, 100).replace(/\n/g, '\\n'));
+  broadcastOutput(session, data);
 
   // Auto-select dark theme when menu appears (dashed line indicates menu ready)
-  if (!themeSent && data.includes('╌╌╌')) {
-    themeSent = true;
-    console.log('[PTY] Menu ready, sending theme selection');
-    ptyManager.write('1');
+  if (!session.themeSent && data.includes('╌╌╌')) {
+    session.themeSent = true;
+    console.log(`[PTY:${session.id}] Menu ready, sending theme selection`);
+    session.ptyManager.write('1');
     setTimeout(() => {
-      if (ptyManager.isRunning()) {
-        ptyManager.write('\r');
+      if (session.isRunning()) {
+        session.ptyManager.write('\r');
       }
     }, 100);
   }
 });
 
-ptyManager.on('exit', ({ exitCode, signal }) => {
-  console.log(`[Claude] Exited with code ${exitCode}, signal ${signal}`);
-  themeSent = false; // Reset for next run
-  broadcast({
+sessionManager.on('exit', (session, { exitCode, signal }) => {
+  console.log(`[Claude] Session ${session.id} exited with code ${exitCode}, signal ${signal}`);
+  session.themeSent = false; // Reset for next run
+  session.transcript?.close();
+  session.transcript = null;
+  reminders.cancel(session.id);
+  // Stopped from the UI or API means someone is already looking
+  if (session.idleNotify.enabled && !session.stopRequested) {
+    notifyFinished(session, { lastLines: session.watcher.getLastLines(IDLE_CONTEXT_LINES), exitCode });
+  }
+  session.stopRequested = false;
+  broadcastToSession(session, {
     type: 'exit',
     exitCode,
     signal,
   });
+  broadcastSessions();
 });
 
-ptyManager.on('error', (error) => {
-  console.error('[Claude] Error:', error.message);
-  broadcast({
+sessionManager.on('error', (session, error) => {
+  console.error(`[Claude] Session ${session.id} error:`, error.message);
+  broadcastToSession(session, {
     type: 'error',
     message: error.message,
   });
 });
 
-// Handle mock mode input
-const originalHandleClientMessage = handleClientMessage;
-handleClientMessage = function (ws, data) {
-  if (config.mockMode && data.type === 'input' && mockInputHandler) {
-    mockInputHandler(data.data);
-    broadcastOutput(data.data);
-    return;
+sessionManager.on('remove', (session) => {
+  session.transcript?.close();
+  reminders.cancel(session.id);
+
+  // Shared links die with the session
+  for (const [token, link] of spectatorLinks.entries()) {
+    if (link.sessionId === session.id) spectatorLinks.delete(token);
   }
-  originalHandleClientMessage(ws, data);
-};
+  closeSpectators((auth) => auth.sessionId === session.id, 'Session closed');
+
+  // Detach anyone still looking at the removed session
+  const detached = JSON.stringify(getSessionState(null));
+  for (const client of clients) {
+    if (client.sessionId === session.id) {
+      client.sessionId = null;
+      if (client.readyState === 1) client.send(detached);
+    }
+  }
+  broadcastSessions();
+});
 
 // Start server
 server.listen(config.port, '0.0.0.0', () => {
@@ -981,7 +2781,7 @@ server.listen(config.port, '0.0.0.0', () => {
 ║  Server running on port ${config.port.toString().padEnd(33)}║
 ║  Domain: ${config.domain.padEnd(48)}║
 ║  Mock mode: ${config.mockMode.toString().padEnd(45)}║
-║  Notifications: ${config.ntfy.topic ? 'enabled' : 'disabled (no topic)'}${' '.repeat(Math.max(0, 40 - (config.ntfy.topic ? 7 : 19)))}║
+║  Notifications: ${(channels.list().map((channel) => channel.name).join(', ') || 'none').slice(0, 40).padEnd(40)}║
 ╚════════════════════════════════════════════════════════════╝
   `);
 });
@@ -989,7 +2789,9 @@ server.listen(config.port, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('[Server] SIGTERM received, shutting down...');
-  ptyManager.kill();
+  sessionManager.killAll();
+  store.close();
+  auditLog.close();
   server.close(() => {
     process.exit(0);
   });
@@ -997,7 +2799,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('[Server] SIGINT received, shutting down...');
-  ptyManager.kill();
+  sessionManager.killAll();
+  store.close();
+  auditLog.close();
   server.close(() => {
     process.exit(0);
   });
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnswerTokens } = require('../lib/answer-tokens');
+
+function issue(tokens) {
+  return tokens.issue({ sessionId: 's1', promptId: 'p1', indexes: [0, 2] });
+}
+
+test('a token answers its prompt once', () => {
+  const tokens = new AnswerTokens();
+  const token = issue(tokens);
+  assert.deepEqual(tokens.redeem(token, 2), { sessionId: 's1', promptId: 'p1' });
+  assert.throws(() => tokens.redeem(token, 2), { status: 404 });
+  assert.throws(() => tokens.redeem(token, 0), { status: 404 });
+});
+
+test('an index that was not offered is rejected and leaves the token usable', () => {
+  const tokens = new AnswerTokens();
+  const token = issue(tokens);
+  assert.throws(() => tokens.redeem(token, 1), { status: 400 });
+  assert.throws(() => tokens.redeem(token, 7), { status: 400 });
+  assert.deepEqual(tokens.redeem(token, 0), { sessionId: 's1', promptId: 'p1' });
+});
+
+test('unknown and expired tokens are rejected', (t) => {
+  const tokens = new AnswerTokens({ ttlMinutes: 1 });
+  const token = issue(tokens);
+  assert.throws(() => tokens.redeem('nope', 0), { status: 404 });
+
+  const later = Date.now() + 61 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.throws(() => tokens.redeem(token, 0), { status: 404 });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ChannelManager } = require('../lib/channels');
+
+/**
+ * Local HTTP stand-in for a notification service. `respond(req, body)`
+ * returns { status, body } for each request (200 by default).
+ */
+async function standIn(t, respond = () => ({ status: 200 })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = respond(req, body) || { status: 200 };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(reply.body || '{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+function manager(t, channels, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onclaude-channels-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'channels.json');
+  fs.writeFileSync(file, JSON.stringify({ channels }));
+  return new ChannelManager({ file, appUrl: 'https://claude.example.com/', ...options });
+}
+
+const ACTIONS = [{ index: 0, label: 'Yes', path: '/api/notification-answer/t/0', url: 'https://claude.example.com/api/notification-answer/t/0' }];
+
+function prompt(extra = {}) {
+  return {
+    event: 'prompt',
+    priority: 'high',
+    actions: ACTIONS,
+    summarize: () => ({ title: 'Input needed', body: 'Allow?' }),
+    ...extra,
+  };
+}
+
+test('answer links only go to channels set up for answering', async (t) => {
+  const service = await standIn(t);
+  const channels = manager(t, [
+    { type: 'webhook', name: 'plain', url: `${service.url}/plain` },
+    { type: 'webhook', name: 'answering', url: `${service.url}/answering`, answerButtons: true },
+  ]);
+  await channels.notify(prompt());
+
+  const bodies = Object.fromEntries(service.requests.map((req) => [req.url, JSON.parse(req.body)]));
+  assert.deepEqual(bodies['/plain'].actions, []);
+  assert.deepEqual(bodies['/answering'].actions, [{ index: 0, label: 'Yes', url: ACTIONS[0].url }]);
+});
+
+function waitFor(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+test('webhooks are signed with HMAC-SHA256 of "<timestamp>.<body>"', async (t) => {
+  const service = await standIn(t);
+  const channels = manager(t, [{ type: 'webhook', url: `${service.url}/hook`, secret: 's3cret' }]);
+  const [delivery] = await channels.notify(prompt());
+  assert.equal(delivery.status, 'sent');
+
+  const [req] = service.requests;
+  const timestamp = req.headers['x-onclaude-timestamp'];
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${req.body}`).digest('hex');
+  assert.equal(req.headers['x-onclaude-signature'], `sha256=${expected}`);
+  assert.equal(JSON.parse(req.body).timestamp, Number(timestamp));
+  assert.equal(req.headers['x-onclaude-event'], 'prompt');
+});
+
+test('a Slack 503 is retried with backoff until it is accepted', async (t) => {
+  let calls = 0;
+  const service = await standIn(t, () => (++calls === 1 ? { status: 503, body: 'busy' } : { status: 200 }));
+  const channels = manager(t, [{ type: 'slack', url: `${service.url}/slack` }], { queue: { baseDelayMs: 50 } });
+
+  const [first] = await channels.notify(prompt());
+  assert.equal(first.status, 'retrying');
+  assert.match(first.lastError, /HTTP 503/);
+
+  const history = () => channels.getHistory({ channel: 'slack' })[0];
+  await waitFor(() => history().status === 'sent');
+  assert.equal(history().attempts, 2);
+  assert.equal(service.requests.length, 2);
+  assert.match(JSON.parse(service.requests[0].body).text, /^\*Input needed\*/);
+});
+
+test('a rejected request fails at once', async (t) => {
+  const service = await standIn(t, () => ({ status: 400, body: 'invalid_payload' }));
+  const channels = manager(t, [{ type: 'slack', url: `${service.url}/slack` }], { queue: { baseDelayMs: 50 } });
+  const [delivery] = await channels.notify(prompt());
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('a retry is dropped once the prompt is answered', async (t) => {
+  const service = await standIn(t, () => ({ status: 503 }));
+  const channels = manager(t, [{ type: 'slack', url: `${service.url}/slack` }], { queue: { baseDelayMs: 50 } });
+  let open = true;
+  await channels.notify(prompt({ isValid: () => open }));
+  open = false;
+
+  await waitFor(() => channels.getHistory({ channel: 'slack' })[0].status === 'expired');
+  assert.equal(service.requests.length, 1);
+});
+
+test('ntfy gets the answer buttons as HTTP actions with the topic token', async (t) => {
+  const service = await standIn(t);
+  const channels = manager(t, [
+    { type: 'ntfy', server: service.url, topic: 'claude-test', token: 'tk_abc', answerButtons: true },
+  ]);
+  const [delivery] = await channels.notify(prompt());
+  assert.equal(delivery.status, 'sent');
+
+  const [req] = service.requests;
+  assert.equal(req.url, '/claude-test');
+  assert.equal(req.headers.authorization, 'Bearer tk_abc');
+  assert.equal(req.headers.actions, `http, Yes, ${ACTIONS[0].url}, method=POST, clear=true`);
+  assert.equal(req.body, 'Allow?');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOptions } = require('../lib/option-parser');
+
+const LIST = [
+  'Here is what I changed:',
+  '1. Review changes',
+  '2. Commit changes',
+  '3. Revert changes',
+];
+
+test('a menu followed by a bare "> " prompt is reported (mock mode)', () => {
+  const result = parseOptions([
+    'Apply these changes? (y/n) y',
+    'All changes complete!',
+    '',
+    'Select an option:',
+    '1. Review changes',
+    '2. Commit changes',
+    '3. Revert changes',
+    '',
+    '> ',
+  ].join('\n'));
+  assert.equal(result.kind, 'menu');
+  assert.equal(result.question, 'Select an option:');
+  assert.deepEqual(result.options.map((option) => option.value), ['1', '2', '3']);
+});
+
+test("a numbered list above Claude's boxed input is not a menu", () => {
+  const result = parseOptions([
+    ...LIST,
+    '',
+    '╭──────────────────────────────────────╮',
+    '│ >                                    │',
+    '╰──────────────────────────────────────╯',
+    '  ? for shortcuts',
+  ].join('\n'));
+  assert.equal(result, null);
+});
+
+test('a numbered list above the input box footer alone is not a menu', () => {
+  const result = parseOptions([
+    ...LIST,
+    '',
+    '──────────────────────────────────────',
+    '>',
+    '──────────────────────────────────────',
+    '  ⏵⏵ auto-accept edits on (shift+tab to cycle)',
+  ].join('\n'));
+  assert.equal(result, null);
+});
+
+test('a y/n question ignores what is typed after the marker', () => {
+  const result = parseOptions('Overwrite config.json? (y/n) yes please');
+  assert.equal(result.kind, 'yes-no');
+  assert.equal(result.question, 'Overwrite config.json?');
+});
+
+test('a y/n in a finished reply above the input box is not a prompt', () => {
+  const result = parseOptions([
+    'Run it with --force (y/n) if it asks.',
+    '',
+    '╭──────────────────────────────────────╮',
+    '│ >                                    │',
+    '╰──────────────────────────────────────╯',
+    '  ? for shortcuts',
+  ].join('\n'));
+  assert.equal(result, null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePermission } = require('../lib/permission-parser');
+
+// Draw a Bash approval dialog the way Claude Code does, body lines as given
+function bashDialog(bodyLines) {
+  const inner = [
+    'Bash command',
+    '',
+    ...bodyLines,
+    '',
+    'Do you want to proceed?',
+    '❯ 1. Yes',
+    "  2. Yes, and don't ask again for this command",
+    '  3. No, and tell Claude what to do differently',
+  ];
+  const width = 60;
+  return [
+    `╭${'─'.repeat(width)}╮`,
+    ...inner.map((line) => `│ ${line.padEnd(width - 2)} │`),
+    `╰${'─'.repeat(width)}╯`,
+  ].join('\n');
+}
+
+test('a single-line command is not ambiguous', () => {
+  const result = parsePermission(bashDialog(['  npm test']));
+  assert.equal(result.tool, 'Bash');
+  assert.equal(result.command, 'npm test');
+  assert.equal(result.description, null);
+  assert.equal(result.ambiguous, false);
+  assert.deepEqual(result.actions, { allow: 0, always: 1, deny: 2 });
+});
+
+test('a wrapped command stays whole and is marked ambiguous', () => {
+  const result = parsePermission(bashDialog([
+    '  npm run build -- --config webpack.production.config.js',
+    '  --progress --profile',
+  ]));
+  assert.equal(result.command, 'npm run build -- --config webpack.production.config.js\n--progress --profile');
+  assert.equal(result.description, null);
+  assert.equal(result.ambiguous, true);
+});
+
+test('a multi-line command without a description is not split', () => {
+  const result = parsePermission(bashDialog(['  npm test', '  rm -rf ~/important']));
+  assert.equal(result.command, 'npm test\nrm -rf ~/important');
+  assert.equal(result.description, null);
+  assert.equal(result.ambiguous, true);
+});
+
+test('an outdented last line is the description', () => {
+  const result = parsePermission(bashDialog(['    rm -rf build/', '  Remove build directory']));
+  assert.equal(result.command, 'rm -rf build/');
+  assert.equal(result.description, 'Remove build directory');
+  assert.equal(result.ambiguous, false);
+});
+
+test('a description after a blank line is split off but stays ambiguous', () => {
+  const result = parsePermission(bashDialog(['  rm -rf build/', '', '  Remove build directory']));
+  assert.equal(result.command, 'rm -rf build/');
+  assert.equal(result.description, 'Remove build directory');
+  assert.equal(result.ambiguous, true);
+});
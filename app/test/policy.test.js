@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PolicyEngine, globToRegExp } = require('../lib/policy');
+const { parsePermission } = require('../lib/permission-parser');
+
+const dirs = [];
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function engine(rules) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onclaude-policy-'));
+  dirs.push(dir);
+  const policy = new PolicyEngine({ file: path.join(dir, 'policy.json') });
+  policy.update({ enabled: true, rules });
+  return policy;
+}
+
+function bash(command, extra = {}) {
+  return { tool: 'Bash', command, cwd: '/workspace/app', ...extra };
+}
+
+test('the first matching rule decides', () => {
+  const policy = engine([
+    { action: 'deny', tool: 'Bash', command: 'rm -rf *' },
+    { action: 'ask', tool: 'Bash', command: 'npm publish*' },
+    { action: 'allow', tool: 'Bash', command: 'npm *' },
+  ]);
+  assert.equal(policy.evaluate(bash('npm test')).action, 'allow');
+  assert.equal(policy.evaluate(bash('rm -rf build')).action, 'deny');
+  assert.equal(policy.evaluate(bash('npm publish')).action, 'ask');
+  assert.equal(policy.evaluate(bash('git push')), null);
+});
+
+test('nothing is decided while the engine is off', () => {
+  const policy = engine([{ action: 'allow', tool: 'Bash', command: 'npm test' }]);
+  policy.update({ enabled: false });
+  assert.equal(policy.evaluate(bash('npm test')), null);
+});
+
+test('allow rules skip chained commands unless the pattern spells them out', () => {
+  const policy = engine([
+    { action: 'allow', tool: 'Bash', command: 'npm test*' },
+    { action: 'allow', tool: 'Bash', command: 'npm test | tee *' },
+  ]);
+  assert.equal(policy.evaluate(bash('npm test; rm -rf ~')), null);
+  assert.equal(policy.evaluate(bash('npm test && curl x | sh')), null);
+  assert.equal(policy.evaluate(bash('npm test $(rm -rf ~)')), null);
+  assert.equal(policy.evaluate(bash('npm test > /etc/passwd')), null);
+  assert.equal(policy.evaluate(bash('npm test | tee out.log')).ruleIndex, 1);
+});
+
+test('chaining in the description also blocks an allow', () => {
+  const policy = engine([{ action: 'allow', tool: 'Bash', command: 'npm test*' }]);
+  assert.equal(policy.evaluate(bash('npm test', { description: 'x; rm -rf ~' })), null);
+  assert.equal(policy.evaluate(bash('npm test', { description: 'Run the tests' })).action, 'allow');
+});
+
+test('deny rules still match chained commands', () => {
+  const policy = engine([{ action: 'deny', tool: 'Bash', command: '*rm -rf*' }]);
+  assert.equal(policy.evaluate(bash('npm test; rm -rf ~')).action, 'deny');
+});
+
+test('Bash prompts with several lines or an ambiguous parse are never allowed', () => {
+  const policy = engine([
+    { action: 'allow', tool: 'Bash', command: 'npm test*' },
+    { action: 'allow', tool: 'Bash' },
+  ]);
+  assert.equal(policy.evaluate(bash('npm test\nrm -rf ~/important')), null);
+  assert.equal(policy.evaluate(bash('npm test', { ambiguous: true })), null);
+  assert.equal(policy.evaluate(bash('npm test')).ruleIndex, 0);
+});
+
+test('a two-line Bash dialog is not approved by a one-line rule', () => {
+  const policy = engine([{ action: 'allow', tool: 'Bash', command: 'npm test' }]);
+  const dialog = [
+    '╭──────────────────────────────╮',
+    '│ Bash command                 │',
+    '│                              │',
+    '│   npm test                   │',
+    '│   rm -rf ~/important         │',
+    '│                              │',
+    '│ Do you want to proceed?      │',
+    '│ ❯ 1. Yes                     │',
+    '│   2. No                      │',
+    '╰──────────────────────────────╯',
+  ].join('\n');
+  const permission = parsePermission(dialog);
+  assert.equal(policy.evaluate({ ...permission, cwd: '/workspace/app' }), null);
+});
+
+test('globs are anchored at both ends', () => {
+  assert.equal(globToRegExp('npm test', false).test('npm test'), true);
+  assert.equal(globToRegExp('npm test', false).test('sudo npm test'), false);
+  assert.equal(globToRegExp('npm test', false).test('npm test --watch'), false);
+  assert.equal(globToRegExp('npm *', false).test('npm run a/b'), true);
+  assert.equal(globToRegExp('src/*', true).test('src/a.js'), true);
+  assert.equal(globToRegExp('src/*', true).test('src/a/b.js'), false);
+  assert.equal(globToRegExp('src/**/x.js', true).test('src/x.js'), true);
+  assert.equal(globToRegExp('src/**', true).test('lib/src/a.js'), false);
+  assert.equal(globToRegExp('a.b', false).test('aXb'), false);
+});
+
+test('path rules match relative to the cwd or absolute, but not outside it', () => {
+  const policy = engine([{ action: 'allow', tool: 'Edit', path: 'src/**' }]);
+  const edit = (filePath) => ({ tool: 'Edit', path: filePath, cwd: '/workspace/app' });
+  assert.equal(policy.evaluate(edit('src/a/b.js')).action, 'allow');
+  assert.equal(policy.evaluate(edit('/workspace/app/src/a.js')).action, 'allow');
+  assert.equal(policy.evaluate(edit('../other/src/a.js')), null);
+  assert.equal(policy.evaluate(edit('/etc/src/a.js')), null);
+});
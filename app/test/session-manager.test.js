@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionManager } = require('../lib/session-manager');
+
+test('checkLimit fails only while every slot has a running session', () => {
+  const manager = new SessionManager({ maxSessions: 1 });
+  manager.checkLimit();
+  const session = manager.create({ name: 'one', cwd: '/workspace/one', args: [] });
+
+  session.isRunning = () => true;
+  assert.throws(() => manager.checkLimit(), /Session limit reached/);
+  assert.throws(() => manager.create({ name: 'two', cwd: '/workspace/two', args: [] }), /Session limit reached/);
+
+  // A stopped session is dropped to make room
+  session.isRunning = () => false;
+  manager.checkLimit();
+  manager.create({ name: 'two', cwd: '/workspace/two', args: [] });
+  assert.deepEqual(manager.list().map((info) => info.name), ['two']);
+  manager.killAll();
+  for (const info of manager.list()) manager.remove(info.id);
+});
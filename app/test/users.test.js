@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore } = require('../lib/users');
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onclaude-users-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // A path under a regular file can never be written
+  fs.writeFileSync(path.join(dir, 'blocker'), '');
+  return {
+    file: path.join(dir, 'users.json'),
+    unwritable: path.join(dir, 'blocker', 'users.json'),
+  };
+}
+
+test('create fails with status 500 and adds nothing when the file cannot be written', async (t) => {
+  const { unwritable } = setup(t);
+  const users = new UserStore({ file: unwritable });
+  await assert.rejects(
+    users.create({ username: 'alice', password: 'correct horse', role: 'viewer' }),
+    { status: 500 },
+  );
+  assert.equal(users.get('alice'), null);
+});
+
+test('update and remove leave the user unchanged when the file cannot be written', async (t) => {
+  const { file, unwritable } = setup(t);
+  const users = new UserStore({ file });
+  await users.create({ username: 'owner', password: 'correct horse', role: 'owner' });
+  await users.create({ username: 'alice', password: 'correct horse', role: 'viewer' });
+
+  users.file = unwritable;
+  await assert.rejects(users.update('alice', { role: 'operator' }), { status: 500 });
+  assert.equal(users.get('alice').role, 'viewer');
+  assert.throws(() => users.remove('alice'), { status: 500 });
+  assert.equal(users.get('alice').role, 'viewer');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Watcher } = require('../lib/watcher');
+
+const INPUT_BOX = [
+  '╭──────────────────────────────────────╮',
+  '│ >                                    │',
+  '╰──────────────────────────────────────╯',
+  '  ? for shortcuts',
+];
+
+function frame(lines) {
+  return `\x1b[2J\x1b[H${lines.join('\r\n')}`;
+}
+
+async function run(replyLines) {
+  const triggers = [];
+  const idles = [];
+  const watcher = new Watcher({
+    idleSeconds: 0.05,
+    onTrigger: (trigger) => triggers.push(trigger),
+    onIdle: (info) => idles.push(info),
+  });
+  watcher.process(frame(['✻ Working… (esc to interrupt)']));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  watcher.process(frame([...replyLines, '', ...INPUT_BOX]));
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  watcher.dispose();
+  return { triggers, idles };
+}
+
+test('a y/n in a finished reply only notifies "Task finished"', async () => {
+  const { triggers, idles } = await run(['⏺ Run it with --force (y/n) if it asks.']);
+  assert.equal(triggers.length, 0);
+  assert.equal(idles.length, 1);
+});
+
+test('(a)/(b) choices in a finished reply only notify "Task finished"', async () => {
+  const { triggers, idles } = await run(['⏺ You can (a)pply or (r)eject the patch later.']);
+  assert.equal(triggers.length, 0);
+  assert.equal(idles.length, 1);
+});
+
+test('a y/n prompt without the input box is a prompt', async () => {
+  const triggers = [];
+  const watcher = new Watcher({ onTrigger: (trigger) => triggers.push(trigger) });
+  watcher.process(frame(['Overwrite config.json? (y/n) ']));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  watcher.dispose();
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].kind, 'yes-no');
+});